@@ -0,0 +1,141 @@
+/**
+ * 管理接口
+ * - `/{prefix}/api/` 下的 JSON 接口，使用 Authorization: Bearer <SECRET_TOKEN> 鉴权
+ * - 复用聊天命令背后的函数，便于构建内部工具与看板
+ *
+ * 路由：
+ * - GET  api/bots                                  Bot 列表
+ * - GET  api/bots/{botId}                          Bot 信息
+ * - GET  api/bots/{botId}/status                   /status 数据
+ * - GET  api/bots/{botId}/topics                   Topic 与用户映射
+ * - GET  api/bots/{botId}/users/{userId}           某个用户的全部 Topic
+ * - POST api/bots/{botId}/topics/{topicId}/ban     拉黑，Body: { silent? }
+ * - POST api/bots/{botId}/topics/{topicId}/unban   解除拉黑，Body: { silent? }
+ * - GET  api/bots/{botId}/export                   导出元数据
+ * - POST api/bots/{botId}/import                   导入元数据，Body 为导出文档
+ */
+
+import { isAuthorized, jsonResponse, validateSecretToken } from './core.js';
+import { createBotContext, getBot, listBots } from './botRegistry.js';
+import { loadMetadataRepository } from './metadataRepository.js';
+import { setTopicBanned } from './banManager.js';
+import { collectStatus } from './statusReport.js';
+import { buildBackup, listTopics, restoreBackup } from './backup.js';
+
+// 对外展示的 Bot 信息，不包含 Token 与 Webhook 密钥
+function toPublicBot(bot) {
+  const { botId, ownerUid, groupId, settings, createdAt } = bot;
+  return { botId, ownerUid, groupId: groupId || null, settings: settings || {}, createdAt };
+}
+
+function notFound(message = 'Not Found') {
+  return jsonResponse({ success: false, message }, 404);
+}
+
+function methodNotAllowed() {
+  return jsonResponse({ success: false, message: 'Method Not Allowed' }, 405);
+}
+
+async function readJson(request) {
+  return request.json().catch(() => ({}));
+}
+
+async function handleBanRoute(request, bot, repository, topicId, banned) {
+  if (!repository.isInitialized()) {
+    return jsonResponse({ success: false, message: '尚未绑定超级群' }, 409);
+  }
+  const { silent } = await readJson(request);
+  const result = await setTopicBanned(bot.token, bot.ownerUid, repository, topicId, banned, Boolean(silent));
+  if (result.reason === 'no_mapping') return notFound('Topic not found');
+  return jsonResponse({ success: true, changed: result.ok, topicId, banned });
+}
+
+async function handleBotRoute(request, bot, config, segments) {
+  const [resource, id, action] = segments;
+  const { method } = request;
+  if (!resource) {
+    return method === 'GET' ? jsonResponse({ success: true, bot: toPublicBot(bot) }) : methodNotAllowed();
+  }
+
+  const botContext = createBotContext(bot, config);
+  const repository = await loadMetadataRepository(botContext);
+
+  if (resource === 'status' && !id) {
+    if (method !== 'GET') return methodNotAllowed();
+    return jsonResponse({ success: true, status: await collectStatus(repository, bot.token) });
+  }
+
+  if (resource === 'topics' && !id) {
+    if (method !== 'GET') return methodNotAllowed();
+    return jsonResponse({
+      success: true,
+      superGroupChatId: repository.metaData.superGroupChatId,
+      topics: listTopics(repository.metaData)
+    });
+  }
+
+  if (resource === 'topics' && (action === 'ban' || action === 'unban')) {
+    if (method !== 'POST') return methodNotAllowed();
+    const topicId = Number(id);
+    if (!Number.isInteger(topicId)) return jsonResponse({ success: false, message: 'Invalid topicId' }, 400);
+    return handleBanRoute(request, bot, repository, topicId, action === 'ban');
+  }
+
+  if (resource === 'users' && id && !action) {
+    if (method !== 'GET') return methodNotAllowed();
+    const userId = Number(id);
+    if (!Number.isInteger(userId)) return jsonResponse({ success: false, message: 'Invalid userId' }, 400);
+    return jsonResponse({ success: true, userId, topics: await repository.findTopicsByUser(userId) });
+  }
+
+  if (resource === 'export' && !id) {
+    if (method !== 'GET') return methodNotAllowed();
+    if (!repository.isInitialized()) {
+      return jsonResponse({ success: false, message: '尚未绑定超级群' }, 409);
+    }
+    return jsonResponse(await buildBackup(repository));
+  }
+
+  if (resource === 'import' && !id) {
+    if (method !== 'POST') return methodNotAllowed();
+    try {
+      const result = await restoreBackup(bot.token, bot.ownerUid, repository, await readJson(request));
+      return jsonResponse({ success: true, ...result });
+    } catch (err) {
+      return jsonResponse({ success: false, message: err.message || String(err) }, 400);
+    }
+  }
+
+  return notFound();
+}
+
+/**
+ * 处理 `/{prefix}/api/` 下的请求
+ * @param {Request} request
+ * @param {string} route - `api/` 之后的路径
+ * @param {object} config - 部署配置
+ */
+export async function handleAdminApi(request, route, config) {
+  const { secretToken, storage } = config;
+  if (!validateSecretToken(secretToken)) {
+    return jsonResponse({ success: false, message: '管理接口需要配置有效的 SECRET_TOKEN' }, 403);
+  }
+  if (!isAuthorized(request, secretToken)) {
+    return jsonResponse({ success: false, message: 'Unauthorized' }, 401);
+  }
+  if (!storage) {
+    return jsonResponse({ success: false, message: '管理接口需要配置存储后端' }, 500);
+  }
+
+  const [collection, botId, ...rest] = route.split('/').filter(Boolean);
+  if (collection !== 'bots') return notFound();
+  if (!botId) {
+    if (request.method !== 'GET') return methodNotAllowed();
+    const bots = await listBots(storage);
+    return jsonResponse({ success: true, bots: bots.map(toPublicBot) });
+  }
+
+  const bot = await getBot(storage, botId);
+  if (!bot) return notFound('Bot not found');
+  return handleBotRoute(request, bot, config, rest);
+}
@@ -0,0 +1,90 @@
+/**
+ * 超级群管理员缓存
+ * - 通过 getChatAdministrators 一次拉取全部管理员，缓存到存储中
+ * - 缓存过期后重新拉取；拉取失败时沿用旧列表，避免临时错误误判身份
+ * - 收到 chat_member 更新时使缓存失效
+ */
+
+import { callTelegramApi } from './core.js';
+
+const ADMIN_CACHE_TTL = 60 * 10;  // 缓存新鲜期 10 分钟（秒）
+const ADMIN_STATUSES = ['creator', 'administrator'];
+
+function getAdminCacheKey(supergroupId) {
+  return `admins:${supergroupId}`;
+}
+
+async function fetchAdministrators(botToken, supergroupId) {
+  const resp = await callTelegramApi(botToken, 'getChatAdministrators', {
+    chat_id: supergroupId
+  }, { context: '获取管理员列表' });
+  if (!resp.ok || !Array.isArray(resp.result)) return null;
+  return resp.result.map((member) => member.user.id);
+}
+
+/**
+ * 获取管理员 ID 列表（带缓存）
+ * @returns {Promise<Array<number>|null>} 无法获取时返回 null
+ */
+export async function getSupergroupAdmins(kvStore, botToken, supergroupId) {
+  const key = getAdminCacheKey(supergroupId);
+  let cached = null;
+  if (kvStore) {
+    try {
+      cached = await kvStore.get(key, { type: 'json' });
+    } catch (err) {
+      console.error('getSupergroupAdmins cache error', err);
+    }
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (cached && now - cached.fetchedAt < ADMIN_CACHE_TTL) return cached.admins;
+
+  const admins = await fetchAdministrators(botToken, supergroupId);
+  if (!admins) return cached?.admins || null;
+
+  if (kvStore) {
+    try {
+      await kvStore.put(key, JSON.stringify({ admins, fetchedAt: now }));
+    } catch (err) {
+      console.error('getSupergroupAdmins save error', err);
+    }
+  }
+  return admins;
+}
+
+/**
+ * 检查用户是否是 Supergroup 的管理员
+ */
+export async function isSupergroupAdmin(kvStore, botToken, supergroupId, userId) {
+  try {
+    const admins = await getSupergroupAdmins(kvStore, botToken, supergroupId);
+    return Boolean(admins?.some((id) => id.toString() === userId?.toString()));
+  } catch (err) {
+    console.error('isSupergroupAdmin error', err);
+    return false;
+  }
+}
+
+/**
+ * 使指定超级群的管理员缓存失效
+ */
+export async function invalidateAdminCache(kvStore, supergroupId) {
+  if (!kvStore) return;
+  try {
+    await kvStore.delete(getAdminCacheKey(supergroupId));
+  } catch (err) {
+    console.error('invalidateAdminCache error', err);
+  }
+}
+
+/**
+ * 处理 chat_member 更新：成员的管理员身份发生变化时清除缓存
+ */
+export async function processChatMemberUpdate(kvStore, chatMember) {
+  const wasAdmin = ADMIN_STATUSES.includes(chatMember.old_chat_member?.status);
+  const isAdmin = ADMIN_STATUSES.includes(chatMember.new_chat_member?.status);
+  if (wasAdmin !== isAdmin) {
+    await invalidateAdminCache(kvStore, chatMember.chat.id);
+  }
+}
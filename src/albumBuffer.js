@@ -0,0 +1,51 @@
+/**
+ * 相册（media group）缓冲
+ * - 同一相册的每条消息以独立的 Update 到达，先在内存中收集，最后一条到达后稍等再整组处理
+ * - 只能在当前 isolate 内合并；相册被分到不同 isolate 时会拆成多组转发，
+ *   如需避免可在 setWebhook 时设置 max_connections = 1
+ */
+
+const ALBUM_IDLE_MS = 800;       // 最后一条消息到达后的等待时间
+const ALBUM_MAX_WAIT_MS = 3000;  // 从第一条消息起的最长等待时间
+
+const albums = new Map();  // `${chatId}:${mediaGroupId}` → { messages, startedAt, timer, flush, resolve }
+
+function scheduleFlush(key, album) {
+  clearTimeout(album.timer);
+  const remaining = album.startedAt + ALBUM_MAX_WAIT_MS - Date.now();
+  album.timer = setTimeout(async () => {
+    albums.delete(key);
+    const messages = [...album.messages].sort((a, b) => a.message_id - b.message_id);
+    try {
+      await album.flush(messages);
+    } catch (err) {
+      console.error('album flush error', key, err);
+    }
+    album.resolve();
+  }, Math.max(0, Math.min(ALBUM_IDLE_MS, remaining)));
+}
+
+/**
+ * 将相册消息加入缓冲
+ * - 同一相册只会以第一条消息传入的 flush 处理一次，flush 收到按 message_id 排序的全部消息
+ * @param {object} message - 带 media_group_id 的消息
+ * @param {function} flush - (messages) => Promise
+ * @returns {Promise<void>|null} 相册的第一条消息返回处理完成的 Promise（可交给 waitUntil），其余返回 null
+ */
+export function bufferAlbumMessage(message, flush) {
+  const key = `${message.chat.id}:${message.media_group_id}`;
+  const existing = albums.get(key);
+  if (existing) {
+    existing.messages.push(message);
+    scheduleFlush(key, existing);
+    return null;
+  }
+
+  const album = { messages: [message], startedAt: Date.now(), timer: null, flush };
+  const done = new Promise((resolve) => {
+    album.resolve = resolve;
+  });
+  albums.set(key, album);
+  scheduleFlush(key, album);
+  return done;
+}
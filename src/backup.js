@@ -0,0 +1,160 @@
+/**
+ * 元数据导出 / 导入
+ * - 导出为带版本号的 JSON 文档，包含绑定的超级群、Topic 映射、备注名、拉黑状态、消息映射与用户资料
+ * - 导入时整体替换当前 Topic 映射；目标超级群与文档不一致时重新创建 Topic 并映射新 ID
+ * - 每次导入最多创建 RESTORE_TOPIC_BATCH 个 Topic，剩余部分再次导入同一文档时继续
+ */
+
+import { callTelegramApi } from './core.js';
+import { createEmptyMetadata, markBan, upsertMapping } from './metadataManager.js';
+
+export const BACKUP_FORMAT = 'fivegram-backup';
+export const BACKUP_VERSION = 3;  // v2：增加 messages（消息映射）；v3：增加 profiles（用户资料、备注与曾用名）
+const RESTORE_TOPIC_BATCH = 50;  // 单次导入创建 Topic 的上限，受 Telegram 频率限制与 Worker 子请求数限制
+
+/**
+ * 将元数据转换为 Topic 列表
+ * @returns {Array<{topicId: number, fromChatId: number, banned: boolean, comment: string|null}>}
+ */
+export function listTopics(metaData) {
+  return Array.from(metaData.topicToFromChat.entries()).map(([topicId, fromChatId]) => ({
+    topicId,
+    fromChatId,
+    banned: metaData.bannedTopics.includes(topicId.toString()),
+    comment: metaData.topicToComment.get(topicId) || null
+  }));
+}
+
+/**
+ * 生成导出文档
+ */
+export async function buildBackup(repository) {
+  const { metaData } = repository;
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: Math.floor(Date.now() / 1000),
+    superGroupChatId: metaData.superGroupChatId,
+    topics: listTopics(metaData),
+    messages: await repository.listMessageMappings(),
+    profiles: await repository.listProfiles()
+  };
+}
+
+/**
+ * 校验导出文档结构
+ * @throws {Error} 文档无效时抛出，message 可直接展示
+ */
+export function validateBackup(doc) {
+  if (!doc || doc.format !== BACKUP_FORMAT) throw new Error('不是 Fivegram 导出文件');
+  if (doc.version > BACKUP_VERSION) throw new Error(`导出文件版本 ${doc.version} 高于当前支持的版本 ${BACKUP_VERSION}`);
+  if (!doc.superGroupChatId) throw new Error('导出文件缺少超级群 ID');
+  if (!Array.isArray(doc.topics)) throw new Error('导出文件缺少 Topic 列表');
+  for (const topic of doc.topics) {
+    if (!Number.isInteger(topic?.topicId) || !Number.isInteger(topic?.fromChatId)) {
+      throw new Error('导出文件中的 Topic 映射格式错误');
+    }
+  }
+  // v1 文档没有消息映射
+  if (doc.messages !== undefined && !Array.isArray(doc.messages)) throw new Error('导出文件中的消息映射格式错误');
+  for (const entry of doc.messages || []) {
+    if (![entry?.topicId, entry?.topicMessageId, entry?.pmMessageId].every(Number.isInteger)) {
+      throw new Error('导出文件中的消息映射格式错误');
+    }
+  }
+  // v1 / v2 文档没有用户资料
+  if (doc.profiles !== undefined && !Array.isArray(doc.profiles)) throw new Error('导出文件中的用户资料格式错误');
+  for (const entry of doc.profiles || []) {
+    if (!Number.isInteger(entry?.fromChatId) || !entry.profile || typeof entry.profile !== 'object') {
+      throw new Error('导出文件中的用户资料格式错误');
+    }
+  }
+}
+
+// 导入前确认 Bot 仍能访问目标超级群，且已开启 Topic
+async function checkTargetGroup(botToken, ownerUid, superGroupChatId) {
+  const resp = await callTelegramApi(botToken, 'getChat', { chat_id: superGroupChatId }, { ownerUid, context: '导入校验超级群' });
+  if (!resp.ok) throw new Error(`无法访问超级群 ${superGroupChatId}：${resp.description}`);
+  if (!resp.result?.is_forum) throw new Error(`超级群 ${superGroupChatId} 未开启 Topic`);
+}
+
+// 在新超级群中为每个用户重新创建 Topic，返回旧 Topic ID → 新 Topic ID
+// - 当前群中已有 Topic 的用户（上次导入已创建）直接沿用，其余用户本次最多创建 RESTORE_TOPIC_BATCH 个
+async function recreateTopics(botToken, ownerUid, superGroupChatId, topics, current) {
+  const topicIdMap = new Map();
+  let created = 0;
+  let failed = 0;
+  for (const { topicId, fromChatId, comment } of topics) {
+    const existing = current.fromChatToTopic.get(fromChatId);
+    if (existing) {
+      topicIdMap.set(topicId, existing);
+      continue;
+    }
+    if (created + failed >= RESTORE_TOPIC_BATCH) continue;
+    const resp = await callTelegramApi(botToken, 'createForumTopic', {
+      chat_id: superGroupChatId,
+      name: `${comment || 'Guest'} (${fromChatId})`.substring(0, 120)
+    }, { ownerUid, context: '导入创建 Topic' });
+    if (resp.ok) {
+      topicIdMap.set(topicId, resp.result.message_thread_id);
+      created += 1;
+    } else {
+      failed += 1;
+    }
+  }
+  return { topicIdMap, failed };
+}
+
+/**
+ * 导入导出文档，替换当前超级群的 Topic 映射
+ * - 已绑定超级群时导入到当前超级群，否则按文档中的超级群绑定
+ * - 超级群不同时重新创建 Topic；原消息不在新群中，消息映射不会导入，用户资料中的资料卡位置被清除
+ * - 重新创建 Topic 时分批进行，pendingTopics 大于 0 时再次导入同一文档继续，已创建的 Topic 不会重复创建
+ * - 用户资料仅在配置存储后端时导入，覆盖同一用户的现有资料
+ * - messageCount 为实际新写入的消息映射数量，已存在的映射不计入
+ * @returns {Promise<{superGroupChatId: number, topicCount: number, messageCount: number, profileCount: number, remapped: boolean, failedTopics: number, pendingTopics: number}>}
+ */
+export async function restoreBackup(botToken, ownerUid, repository, doc) {
+  validateBackup(doc);
+  const superGroupChatId = repository.metaData.superGroupChatId || doc.superGroupChatId;
+  await checkTargetGroup(botToken, ownerUid, superGroupChatId);
+  if (!repository.isInitialized()) await repository.bind(superGroupChatId);
+
+  const remapped = superGroupChatId !== doc.superGroupChatId;
+  const { topicIdMap, failed } = remapped
+    ? await recreateTopics(botToken, ownerUid, superGroupChatId, doc.topics, repository.metaData)
+    : { topicIdMap: new Map(doc.topics.map(({ topicId }) => [topicId, topicId])), failed: 0 };
+  const topics = doc.topics.filter(({ topicId }) => topicIdMap.has(topicId));
+
+  await repository.save((data) => {
+    const restored = createEmptyMetadata(data.superGroupChatId);
+    for (const topic of topics) {
+      const topicId = topicIdMap.get(topic.topicId);
+      upsertMapping(restored, topicId, topic.fromChatId, topic.comment);
+      if (topic.banned) markBan(restored, topicId, true);
+    }
+    Object.assign(data, restored);
+  });
+
+  // 未配置存储后端时消息映射仍保存在原超级群的置顶消息中，无需导入
+  const messages = !remapped && repository.storage
+    ? (doc.messages || []).filter(({ topicId }) => topicIdMap.has(topicId))
+    : [];
+  const messageCount = await repository.importMessageMappings(messages);
+
+  const profiles = repository.storage ? doc.profiles || [] : [];
+  for (const { fromChatId, profile } of profiles) {
+    // 资料卡消息在原超级群中，无法在新群更新
+    await repository.saveProfile(fromChatId, remapped ? { ...profile, card: null } : profile);
+  }
+
+  return {
+    superGroupChatId,
+    topicCount: topics.length,
+    messageCount,
+    profileCount: profiles.length,
+    remapped,
+    failedTopics: failed,
+    pendingTopics: doc.topics.length - topics.length
+  };
+}
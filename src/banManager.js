@@ -4,7 +4,7 @@
  */
 
 import { callTelegramApi } from './core.js';
-import { markBan, updateMapping } from './metadataManager.js';
+import { markBan } from './metadataManager.js';
 
 /**
  * 检查 Topic 是否被拉黑
@@ -22,10 +22,34 @@ async function notifyTopic(botToken, chatId, topicId, text) {
   });
 }
 
+/**
+ * 修改 Topic 的拉黑状态，供聊天命令与管理接口共用
+ * @param {boolean} [isSilent=false] - 是否不通知用户
+ * @returns {Promise<{ok: boolean, reason?: 'no_mapping'|'unchanged'}>}
+ */
+export async function setTopicBanned(botToken, ownerUid, repository, topicId, banned, isSilent = false) {
+  const { metaData } = repository;
+  // 未建立映射时提前返回，避免写入无效数据
+  const fromChatId = metaData.topicToFromChat.get(topicId);
+  if (banned && !fromChatId) return { ok: false, reason: 'no_mapping' };
+  if (isTopicBanned(metaData, topicId) === banned) return { ok: false, reason: 'unchanged' };
+
+  // 在元数据中标记拉黑：chatId 前缀加上 b；解除时移除前缀
+  await repository.save((data) => markBan(data, topicId, banned));
+
+  if (!isSilent && fromChatId) {
+    await callTelegramApi(botToken, 'sendMessage', {
+      chat_id: fromChatId,
+      text: banned ? '你已被拉黑，发送的消息不会再被转发到群组。' : '你已被解除拉黑，可以继续发送消息。'
+    }, { ownerUid, context: banned ? '拉黑通知' : '解除拉黑通知' });
+  }
+  return { ok: true };
+}
+
 /**
  * 拉黑指定 Topic（单向：用户发送的消息不转发，owner 仍可发送）
  */
-export async function banTopic(botToken, ownerUid, message, metaData, metaMessage, isSilent = false) {
+export async function banTopic(botToken, ownerUid, message, repository, isSilent = false) {
   const api = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
   const topicId = message?.message_thread_id;
   const superGroupChatId = message?.chat?.id;
@@ -37,30 +61,14 @@ export async function banTopic(botToken, ownerUid, message, metaData, metaMessag
     return new Response('OK');
   }
 
-  // 未建立映射时提前告知，避免写入无效数据
-  const fromChatId = metaData.topicToFromChat.get(topicId);
-  if (!fromChatId) {
-    await notifyTopic(botToken, superGroupChatId, topicId, '未找到该话题对应的私聊映射，拉黑操作已取消。');
-    return new Response('OK');
-  }
-
-  if (isTopicBanned(metaData, topicId)) {
-    await notifyTopic(botToken, superGroupChatId, topicId, '该话题已在拉黑列表，无需重复操作。');
-    return new Response('OK');
-  }
-
   try {
-    // 在元数据中标记拉黑：chatId 前缀加上 b
-    markBan(metaData, topicId, true);
-    await updateMapping(botToken, ownerUid, metaMessage, metaData);
-    await notifyTopic(botToken, superGroupChatId, topicId, '已拉黑此话题，来自私聊的消息将不再转发。');
-
-    if (!isSilent) {
-      await api('sendMessage', {
-        chat_id: fromChatId,
-        text: '你已被拉黑，发送的消息不会再被转发到群组。'
-      });
-    }
+    const result = await setTopicBanned(botToken, ownerUid, repository, topicId, true, isSilent);
+    const text = result.ok
+      ? '已拉黑此话题，来自私聊的消息将不再转发。'
+      : result.reason === 'no_mapping'
+        ? '未找到该话题对应的私聊映射，拉黑操作已取消。'
+        : '该话题已在拉黑列表，无需重复操作。';
+    await notifyTopic(botToken, superGroupChatId, topicId, text);
   } catch (err) {
     await notifyTopic(botToken, superGroupChatId, topicId, `拉黑失败：${err.message || err}`);
   }
@@ -71,7 +79,7 @@ export async function banTopic(botToken, ownerUid, message, metaData, metaMessag
 /**
  * 解除拉黑
  */
-export async function unbanTopic(botToken, ownerUid, message, metaData, metaMessage, isSilent = false) {
+export async function unbanTopic(botToken, ownerUid, message, repository, isSilent = false) {
   const api = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
   const topicId = message?.message_thread_id;
   const superGroupChatId = message?.chat?.id;
@@ -83,24 +91,10 @@ export async function unbanTopic(botToken, ownerUid, message, metaData, metaMess
     return new Response('OK');
   }
 
-  const fromChatId = metaData.topicToFromChat.get(topicId);
-  if (!isTopicBanned(metaData, topicId)) {
-    await notifyTopic(botToken, superGroupChatId, topicId, '该话题当前未被拉黑。');
-    return new Response('OK');
-  }
-
   try {
-    // 移除前缀 b，恢复正常转发
-    markBan(metaData, topicId, false);
-    await updateMapping(botToken, ownerUid, metaMessage, metaData);
-    await notifyTopic(botToken, superGroupChatId, topicId, '已解除拉黑，私聊消息可以再次转发到话题。');
-
-    if (!isSilent && fromChatId) {
-      await api('sendMessage', {
-        chat_id: fromChatId,
-        text: '你已被解除拉黑，可以继续发送消息。'
-      });
-    }
+    const result = await setTopicBanned(botToken, ownerUid, repository, topicId, false, isSilent);
+    const text = result.ok ? '已解除拉黑，私聊消息可以再次转发到话题。' : '该话题当前未被拉黑。';
+    await notifyTopic(botToken, superGroupChatId, topicId, text);
   } catch (err) {
     await notifyTopic(botToken, superGroupChatId, topicId, `解除拉黑失败：${err.message || err}`);
   }
@@ -0,0 +1,136 @@
+/**
+ * Bot 注册表
+ * - 同一部署可服务多个 Bot / Owner，每个 Bot 是一个租户
+ * - Bot Token 仅保存在存储后端，Webhook 地址只包含 Bot ID
+ * - `bot:<botId>` → { botId, token, ownerUid, groupId, settings, namespace, webhookSecret, createdAt }
+ * - 租户数据保存在 `tenant:<botId>:` 命名空间下；升级前已有数据的 Bot 沿用无前缀的旧 key
+ */
+
+import { createNamespacedStorage } from './storage/namespacedStorage.js';
+import { loadBindingFromKV } from './metadataManager.js';
+
+const BOT_KEY_PREFIX = 'bot:';
+
+/**
+ * 从 Token 中取出 Bot ID（Token 格式为 `<botId>:<secret>`）
+ */
+export function getBotId(botToken) {
+  return String(botToken).split(':')[0];
+}
+
+function getBotKey(botId) {
+  return `${BOT_KEY_PREFIX}${botId}`;
+}
+
+function generateWebhookSecret() {
+  return crypto.randomUUID().replace(/-/g, '');
+}
+
+export async function getBot(storage, botId) {
+  if (!storage) return null;
+  return storage.get(getBotKey(botId), { type: 'json' });
+}
+
+export async function listBots(storage) {
+  if (!storage) return [];
+  const bots = [];
+  let cursor;
+  do {
+    const page = await storage.list({ prefix: BOT_KEY_PREFIX, cursor });
+    for (const key of page.keys) {
+      const bot = await storage.get(key.name, { type: 'json' });
+      if (bot) bots.push(bot);
+    }
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return bots;
+}
+
+/**
+ * 为新注册的 Bot 选择命名空间
+ * - Owner 在旧 key 中已有绑定且尚未被其他 Bot 占用时沿用旧 key，升级无需迁移数据
+ */
+async function resolveNamespace(storage, botId, ownerUid) {
+  const legacyGroupId = await loadBindingFromKV(storage, ownerUid);
+  if (legacyGroupId) {
+    const bots = await listBots(storage);
+    const claimed = bots.some((bot) => bot.botId !== botId && bot.ownerUid === ownerUid && !bot.namespace);
+    if (!claimed) return '';
+  }
+  return `tenant:${botId}`;
+}
+
+/**
+ * 注册或更新 Bot
+ * @param {object} storage - 存储后端（未加命名空间）
+ * @param {object} options
+ * @param {string} options.botToken - Bot Token
+ * @param {string|number} options.ownerUid - 机器人所有者
+ * @param {object} [options.settings] - 租户设置，与已有设置合并
+ * @returns {Promise<object>} 注册后的记录
+ */
+export async function registerBot(storage, { botToken, ownerUid, settings }) {
+  const botId = getBotId(botToken);
+  const existing = await getBot(storage, botId);
+  const record = {
+    groupId: null,
+    // 缺少 namespace 字段的旧记录使用无前缀的 key
+    namespace: existing ? existing.namespace ?? '' : await resolveNamespace(storage, botId, String(ownerUid)),
+    webhookSecret: generateWebhookSecret(),
+    createdAt: Math.floor(Date.now() / 1000),
+    ...existing,
+    botId,
+    token: botToken,
+    ownerUid: String(ownerUid),
+    settings: { ...existing?.settings, ...settings }
+  };
+  await storage.put(getBotKey(botId), JSON.stringify(record));
+  return record;
+}
+
+/**
+ * 局部更新 Bot 记录
+ * @returns {Promise<object|null>} 更新后的记录，Bot 不存在时返回 null
+ */
+export async function updateBot(storage, botId, patch) {
+  const existing = await getBot(storage, botId);
+  if (!existing) return null;
+  const record = { ...existing, ...patch };
+  await storage.put(getBotKey(botId), JSON.stringify(record));
+  return record;
+}
+
+export async function removeBot(storage, botId) {
+  if (!storage) return;
+  await storage.delete(getBotKey(botId));
+}
+
+/**
+ * 获取租户存储：按 Bot 的命名空间包装存储后端
+ */
+export function getTenantStorage(storage, bot) {
+  if (!storage) return null;
+  return bot.namespace ? createNamespacedStorage(storage, bot.namespace) : storage;
+}
+
+/**
+ * 构建单个 Update 的处理上下文，取代模块级的全局存储
+ * @param {object} bot - 注册表中的 Bot 记录
+ * @param {object} config - 部署配置（storage / pinnedBackup）
+ */
+export function createBotContext(bot, { storage, pinnedBackup = false }) {
+  const settings = bot.settings || {};
+  return {
+    botId: bot.botId,
+    botToken: bot.token,
+    ownerUid: String(bot.ownerUid),
+    storage: getTenantStorage(storage, bot),
+    settings,
+    pinnedBackup: settings.pinnedBackup ?? pinnedBackup,
+
+    // 绑定的超级群同步记录到注册表，便于管理
+    async setBoundGroup(groupId) {
+      if (storage) await updateBot(storage, bot.botId, { groupId: groupId || null });
+    }
+  };
+}
@@ -0,0 +1,62 @@
+/**
+ * 待确认操作
+ * - 危险操作先展示内容，Owner 点击 Inline 按钮后才执行
+ * - 操作内容保存在存储中（带 TTL），callback_data 只携带短 ID：`cf:<id>:<choice>`
+ */
+
+const CONFIRMATION_TTL = 60 * 10;  // 默认 10 分钟内有效
+const CALLBACK_PREFIX = 'cf';
+export const CANCEL_CHOICE = 'cancel';
+
+function getConfirmationKey(id) {
+  return `confirm:${id}`;
+}
+
+/**
+ * 保存待确认操作
+ * @param {object} storage - 租户存储
+ * @param {string} action - 操作类型，用于分发到对应的执行函数
+ * @param {object} payload - 执行所需的数据
+ * @param {number} [ttl] - 有效期（秒）
+ * @returns {Promise<string>} 确认 ID
+ */
+export async function createConfirmation(storage, action, payload, ttl = CONFIRMATION_TTL) {
+  const id = crypto.randomUUID().replace(/-/g, '').slice(0, 16);
+  await storage.put(getConfirmationKey(id), JSON.stringify({ action, payload }), { expirationTtl: ttl });
+  return id;
+}
+
+/**
+ * 取出并删除待确认操作，保证只执行一次
+ * @returns {Promise<{action: string, payload: object}|null>} 已过期或已处理时返回 null
+ */
+export async function takeConfirmation(storage, id) {
+  const key = getConfirmationKey(id);
+  const confirmation = await storage.get(key, { type: 'json' });
+  if (confirmation) await storage.delete(key);
+  return confirmation;
+}
+
+/**
+ * 生成确认按钮，最后一行固定为取消
+ * @param {string} id - 确认 ID
+ * @param {Array<{text: string, choice: string}>} [choices] - 可选项，默认单个“确认”
+ */
+export function buildConfirmationKeyboard(id, choices = [{ text: '✅ 确认执行', choice: 'yes' }]) {
+  return {
+    inline_keyboard: [
+      ...choices.map(({ text, choice }) => [{ text, callback_data: `${CALLBACK_PREFIX}:${id}:${choice}` }]),
+      [{ text: '取消', callback_data: `${CALLBACK_PREFIX}:${id}:${CANCEL_CHOICE}` }]
+    ]
+  };
+}
+
+/**
+ * 解析 callback_data
+ * @returns {{id: string, choice: string}|null} 非确认按钮时返回 null
+ */
+export function parseConfirmationData(data) {
+  const [prefix, id, choice] = String(data || '').split(':');
+  if (prefix !== CALLBACK_PREFIX || !id || !choice) return null;
+  return { id, choice };
+}
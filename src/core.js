@@ -1,11 +1,17 @@
 /**
  * Fivegram - 核心路由
- * 兼容 Cloudflare Workers 与 Vercel，无状态处理 HTTP 路由
+ * 兼容 Cloudflare Workers 与 Node.js 自托管，无状态处理 HTTP 路由
  */
 
 import { handleUpdate } from './messageHandler.js';
+import { getRetryDelay, getRetryPolicy, paceRequest, recordRateLimit, sleep } from './rateLimiter.js';
+import { enqueueUpdate } from './updateQueue.js';
+import { createBotContext, getBot, getBotId, listBots, registerBot, removeBot } from './botRegistry.js';
+import { handleAdminApi } from './adminApi.js';
+import { checkStorage, runDiagnostics } from './diagnostics.js';
+import { loadMetadataRepository } from './metadataRepository.js';
 
-export const allowedUpdates = ['message', 'message_reaction', 'edited_message'];
+export const allowedUpdates = ['message', 'message_reaction', 'edited_message', 'chat_member', 'my_chat_member', 'callback_query'];
 
 export function validateSecretToken(token) {
   return token && token.length >= 16 && /[A-Z]/.test(token) && /[a-z]/.test(token) && /[0-9]/.test(token);
@@ -18,16 +24,106 @@ export function jsonResponse(data, status = 200) {
   });
 }
 
+const DEFAULT_TELEGRAM_API_BASE = 'https://api.telegram.org';
+
+// Telegram 客户端可替换，便于接入本地 Bot API 服务或离线模拟器
+let telegramClient = {
+  apiBase: DEFAULT_TELEGRAM_API_BASE,
+  fetch: (url, init) => fetch(url, init)
+};
+
+/**
+ * 替换 Telegram 客户端
+ * @param {object} client
+ * @param {string} [client.apiBase] - Bot API 地址，默认 https://api.telegram.org
+ * @param {function} [client.fetch] - 与 fetch 签名一致的请求函数
+ */
+export function setTelegramClient(client = {}) {
+  telegramClient = {
+    apiBase: client.apiBase || DEFAULT_TELEGRAM_API_BASE,
+    fetch: client.fetch || ((url, init) => fetch(url, init))
+  };
+}
+
+const INPUT_FILE = Symbol('inputFile');
+
+/**
+ * 构造待上传的文件，作为 sendDocument 等方法的参数值
+ * @param {string} filename - 文件名
+ * @param {string|Uint8Array} content - 文件内容
+ * @param {string} [contentType]
+ */
+export function createInputFile(filename, content, contentType = 'application/octet-stream') {
+  return { [INPUT_FILE]: true, filename, content, contentType };
+}
+
+// 含上传文件时改用 multipart/form-data，对象参数按 Bot API 要求序列化为 JSON
+function toFormData(body) {
+  const form = new FormData();
+  for (const [key, value] of Object.entries(body)) {
+    if (value === undefined || value === null) continue;
+    if (value[INPUT_FILE]) {
+      form.append(key, new Blob([value.content], { type: value.contentType }), value.filename);
+    } else {
+      form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+    }
+  }
+  return form;
+}
+
 export async function postToTelegramApi(token, method, body) {
-  return fetch(`https://api.telegram.org/bot${token}/${method}`, {
+  const url = `${telegramClient.apiBase}/bot${token}/${method}`;
+  if (Object.values(body || {}).some((value) => value?.[INPUT_FILE])) {
+    return telegramClient.fetch(url, { method: 'POST', body: toFormData(body) });
+  }
+  return telegramClient.fetch(url, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
     body: JSON.stringify(body)
   });
 }
 
+/**
+ * 下载 getFile 返回的文件
+ * @param {string} filePath - getFile 结果中的 file_path
+ * @returns {Promise<Response>}
+ */
+export function downloadTelegramFile(token, filePath) {
+  return telegramClient.fetch(`${telegramClient.apiBase}/file/bot${token}/${filePath}`, { method: 'GET' });
+}
+
+/**
+ * 发送请求并按方法策略重试（429 / 5xx / 网络异常）
+ * @returns {Promise<object>} Telegram 返回体；重试耗尽的网络异常会被抛出
+ */
+async function requestWithRetry(token, method, body) {
+  const policy = getRetryPolicy(method);
+  for (let attempt = 0; ; attempt += 1) {
+    await paceRequest(method, body);
+    let data = null;
+    let error = null;
+    try {
+      const resp = await postToTelegramApi(token, method, body);
+      data = await resp.json();
+      if (data.ok) return data;
+    } catch (err) {
+      error = err;
+    }
+
+    recordRateLimit(method, body, data);
+    const delay = getRetryDelay(policy, attempt, data);
+    if (delay === null) {
+      if (error) throw error;
+      return data;
+    }
+    console.warn(`callTelegramApi ${method} retry #${attempt + 1} in ${Math.round(delay)}ms`, data?.description || error);
+    await sleep(delay);
+  }
+}
+
 /**
  * 包装后的 API 调用，统一捕获错误并向 owner 上报
+ * - 失败时按方法的重试策略自动重试，重试耗尽后才上报
  * @param {string} token - Bot Token
  * @param {string} method - Telegram Bot API 方法
  * @param {object} body - 请求体
@@ -38,8 +134,7 @@ export async function postToTelegramApi(token, method, body) {
 export async function callTelegramApi(token, method, body, options = {}) {
   const { ownerUid, context } = options;
   try {
-    const resp = await postToTelegramApi(token, method, body);
-    const data = await resp.json();
+    const data = await requestWithRetry(token, method, body);
 
     // 将非 sendMessage 的异常上报 owner，避免循环递归
     if (!data.ok && ownerUid && method !== 'sendMessage') {
@@ -69,66 +164,217 @@ export async function callTelegramApi(token, method, body, options = {}) {
   }
 }
 
-async function handleInstall(request, ownerUid, botToken, prefix, secretToken) {
-  if (!validateSecretToken(secretToken)) {
-    return jsonResponse({
-      success: false,
-      message: 'Secret token 至少 16 位并包含大小写字母与数字'
-    }, 400);
+const INVALID_SECRET_MESSAGE = 'Secret token 至少 16 位并包含大小写字母与数字';
+
+// 管理接口使用 Authorization: Bearer <SECRET_TOKEN> 鉴权
+export function isAuthorized(request, secretToken) {
+  const header = request.headers.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+  if (!provided || provided.length !== secretToken.length) return false;
+  let diff = 0;
+  for (let i = 0; i < provided.length; i += 1) {
+    diff |= provided.charCodeAt(i) ^ secretToken.charCodeAt(i);
   }
+  return diff === 0;
+}
 
+function getWebhookUrl(request, prefix, botId) {
   const url = new URL(request.url);
-  const baseUrl = `${url.protocol}//${url.hostname}`;
-  const webhookUrl = `${baseUrl}/${prefix}/webhook/${ownerUid}/${botToken}`;
+  return `${url.protocol}//${url.host}/${prefix}/webhook/${botId}`;
+}
 
-  const resp = await callTelegramApi(botToken, 'setWebhook', {
-    url: webhookUrl,
+// 每个 Bot 使用独立的 Webhook 密钥，旧记录沿用全局 SECRET_TOKEN
+async function setBotWebhook(request, prefix, secretToken, bot, context) {
+  return callTelegramApi(bot.token, 'setWebhook', {
+    url: getWebhookUrl(request, prefix, bot.botId),
     allowed_updates: allowedUpdates,
-    secret_token: secretToken
-  }, { ownerUid, context: '安装 Webhook' });
-  if (resp.ok) return jsonResponse({ success: true, message: 'Webhook installed' });
-  return jsonResponse({ success: false, message: resp.description || 'Failed to install' }, 400);
+    secret_token: bot.webhookSecret || secretToken
+  }, { ownerUid: bot.ownerUid, context });
 }
 
-async function handleUninstall(botToken, secretToken) {
+// 管理接口的公共校验：密钥强度、请求方法、鉴权、存储后端
+function checkAdminRequest(request, secretToken, storage, usage) {
   if (!validateSecretToken(secretToken)) {
-    return jsonResponse({
-      success: false,
-      message: 'Secret token 至少 16 位并包含大小写字母与数字'
-    }, 400);
+    return jsonResponse({ success: false, message: INVALID_SECRET_MESSAGE }, 400);
+  }
+  if (request.method !== 'POST') {
+    return jsonResponse({ success: false, message: `请使用 POST 调用，${usage}` }, 405);
+  }
+  if (!isAuthorized(request, secretToken)) {
+    return jsonResponse({ success: false, message: 'Unauthorized' }, 401);
+  }
+  if (!storage) {
+    return jsonResponse({ success: false, message: '需要配置存储后端以保存 Bot Token' }, 500);
   }
+  return null;
+}
 
-  const resp = await callTelegramApi(botToken, 'deleteWebhook', {}, { context: '删除 Webhook' });
-  if (resp.ok) return jsonResponse({ success: true, message: 'Webhook removed' });
-  return jsonResponse({ success: false, message: resp.description || 'Failed to uninstall' }, 400);
+/**
+ * 安装 Webhook
+ * POST /{prefix}/install，Authorization: Bearer <SECRET_TOKEN>，Body: { ownerUid, botToken, settings? }
+ * - 每个 Bot 独立注册，重复调用会更新 Token / Owner / 设置，已有数据保留
+ */
+async function handleInstall(request, config) {
+  const { prefix, secretToken, storage } = config;
+  const rejected = checkAdminRequest(request, secretToken, storage, 'Body 为 { ownerUid, botToken }');
+  if (rejected) return rejected;
+
+  const { ownerUid, botToken, settings } = await request.json().catch(() => ({}));
+  if (!ownerUid || !botToken) {
+    return jsonResponse({ success: false, message: '缺少 ownerUid 或 botToken' }, 400);
+  }
+
+  const bot = await registerBot(storage, { botToken, ownerUid, settings });
+  const resp = await setBotWebhook(request, prefix, secretToken, bot, '安装 Webhook');
+  if (resp.ok) return jsonResponse({ success: true, message: 'Webhook installed', botId: bot.botId });
+  return jsonResponse({ success: false, message: resp.description || 'Failed to install' }, 400);
+}
+
+/**
+ * 删除 Webhook
+ * POST /{prefix}/uninstall，Authorization: Bearer <SECRET_TOKEN>，Body: { botId }
+ * - 仅移除该 Bot 的注册记录，租户数据保留，重新安装后可继续使用
+ */
+async function handleUninstall(request, config) {
+  const { secretToken, storage } = config;
+  const rejected = checkAdminRequest(request, secretToken, storage, 'Body 为 { botId }');
+  if (rejected) return rejected;
+
+  const { botId } = await request.json().catch(() => ({}));
+  const bot = botId ? await getBot(storage, botId) : null;
+  if (!bot) return jsonResponse({ success: false, message: 'Bot not found' }, 404);
+
+  const resp = await callTelegramApi(bot.token, 'deleteWebhook', {}, { context: '删除 Webhook' });
+  if (!resp.ok) return jsonResponse({ success: false, message: resp.description || 'Failed to uninstall' }, 400);
+  await removeBot(storage, bot.botId);
+  return jsonResponse({ success: true, message: 'Webhook removed' });
+}
+
+// 旧版 GET 路由会把 Token 暴露在 URL 中，已停用
+function handleLegacyAdminRoute() {
+  return jsonResponse({
+    success: false,
+    message: '该路由已停用，请改用 POST /{prefix}/install 或 /{prefix}/uninstall，并在 Authorization 头携带 Bearer SECRET_TOKEN'
+  }, 410);
+}
+
+function dispatchUpdate(update, bot, config, ctx) {
+  const task = () => handleUpdate(update, createBotContext(bot, config), ctx);
+
+  // 立即确认 Webhook，处理放到后台执行，避免 Telegram 超时重发
+  if (ctx?.waitUntil) {
+    ctx.waitUntil(enqueueUpdate(update, task));
+    return new Response('OK');
+  }
+  return task();
+}
+
+/**
+ * 健康检查
+ * GET /{prefix}/health：未鉴权时仅返回存活状态
+ * 携带 Authorization: Bearer <SECRET_TOKEN> 时对每个 Bot 执行自检（可用 ?botId= 指定），任一项失败返回 503
+ */
+async function handleHealth(request, config) {
+  const { secretToken, storage } = config;
+  if (!validateSecretToken(secretToken) || !isAuthorized(request, secretToken)) {
+    return jsonResponse({ ok: true });
+  }
+
+  const botId = new URL(request.url).searchParams.get('botId');
+  const bots = botId ? [await getBot(storage, botId)].filter(Boolean) : await listBots(storage);
+  if (botId && bots.length === 0) return jsonResponse({ ok: false, message: 'Bot not found' }, 404);
+
+  const storageCheck = await checkStorage(storage);
+  const results = [];
+  for (const bot of bots) {
+    const repository = await loadMetadataRepository(createBotContext(bot, config));
+    const report = await runDiagnostics({ botToken: bot.token, repository });
+    results.push({ botId: bot.botId, ...report });
+  }
+  const ok = storageCheck.ok && results.every((result) => result.ok);
+  return jsonResponse({ ok, storage: storageCheck, bots: results }, ok ? 200 : 503);
+}
+
+// 接受 Bot 独立密钥或全局 SECRET_TOKEN（切换密钥的 setWebhook 失败时仍可投递）
+function isWebhookAuthorized(request, ...secrets) {
+  const provided = request.headers.get('X-Telegram-Bot-Api-Secret-Token');
+  const expected = secrets.filter(Boolean);
+  return expected.length === 0 || expected.includes(provided);
+}
+
+async function handleWebhook(request, botId, config, ctx) {
+  const bot = await getBot(config.storage, botId);
+  if (!bot) return new Response('Not Found', { status: 404 });
+  if (!isWebhookAuthorized(request, bot.webhookSecret, config.secretToken)) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+  const update = await request.json();
+  return dispatchUpdate(update, bot, config, ctx);
+}
+
+// 当前 Webhook 已指向 `/webhook/{botId}` 新地址时无需再迁移（迁移后旧地址仍可能收到少量积压的 Update）
+async function isWebhookMigrated(request, prefix, bot) {
+  const resp = await callTelegramApi(bot.token, 'getWebhookInfo', {});
+  return resp.ok && resp.result?.url === getWebhookUrl(request, prefix, bot.botId);
 }
 
-async function handleWebhook(request, ownerUid, botToken, secretToken, messageMapping, ctx) {
-  if (secretToken && secretToken !== request.headers.get('X-Telegram-Bot-Api-Secret-Token')) {
+/**
+ * 旧版 `/webhook/{ownerUid}/{botToken}` 地址：首次收到 Update 时注册 Bot 并把 Webhook 切换到新地址，本次 Update 照常处理
+ * - 旧地址自带 Token，必须配置 SECRET_TOKEN 且请求携带正确的密钥，否则拒绝
+ */
+async function handleLegacyWebhook(request, ownerUid, botToken, config, ctx) {
+  if (!config.secretToken || !isWebhookAuthorized(request, config.secretToken)) {
     return new Response('Unauthorized', { status: 401 });
   }
   const update = await request.json();
-  return handleUpdate(update, { ownerUid, botToken, secretToken, messageMapping }, ctx);
+  let bot = { botId: getBotId(botToken), token: botToken, ownerUid };
+
+  if (config.storage) {
+    const existing = await getBot(config.storage, bot.botId);
+    bot = existing || await registerBot(config.storage, { botToken, ownerUid });
+    if (!existing || !await isWebhookMigrated(request, config.prefix, bot)) {
+      const resp = await setBotWebhook(request, config.prefix, config.secretToken, bot, '迁移 Webhook 地址');
+      if (resp.ok) console.log('Migrated legacy webhook for bot', bot.botId);
+    }
+  }
+  return dispatchUpdate(update, bot, config, ctx);
 }
 
 export async function handleRequest(request, config, ctx) {
-  const { prefix, secretToken, messageMapping } = config;
+  const { prefix, telegramClient: client } = config;
+  if (client) setTelegramClient(client);
   const url = new URL(request.url);
   const path = url.pathname;
 
-  const INSTALL_PATTERN = new RegExp(`^/${prefix}/install/([^/]+)/([^/]+)$`);
-  const UNINSTALL_PATTERN = new RegExp(`^/${prefix}/uninstall/([^/]+)$`);
-  const WEBHOOK_PATTERN = new RegExp(`^/${prefix}/webhook/([^/]+)/([^/]+)$`);
+  const INSTALL_PATTERN = new RegExp(`^/${prefix}/install$`);
+  const UNINSTALL_PATTERN = new RegExp(`^/${prefix}/uninstall$`);
+  const WEBHOOK_PATTERN = new RegExp(`^/${prefix}/webhook/([^/]+)$`);
+  const API_PATTERN = new RegExp(`^/${prefix}/api/(.*)$`);
+  const HEALTH_PATTERN = new RegExp(`^/${prefix}/health$`);
+  const LEGACY_ADMIN_PATTERN = new RegExp(`^/${prefix}/(install/[^/]+/[^/]+|uninstall/[^/]+)$`);
+  const LEGACY_WEBHOOK_PATTERN = new RegExp(`^/${prefix}/webhook/([^/]+)/([^/]+)$`);
 
   let match;
-  if ((match = path.match(INSTALL_PATTERN))) {
-    return handleInstall(request, match[1], match[2], prefix, secretToken);
+  if (INSTALL_PATTERN.test(path)) {
+    return handleInstall(request, config);
   }
-  if ((match = path.match(UNINSTALL_PATTERN))) {
-    return handleUninstall(match[1], secretToken);
+  if (UNINSTALL_PATTERN.test(path)) {
+    return handleUninstall(request, config);
   }
   if ((match = path.match(WEBHOOK_PATTERN))) {
-    return handleWebhook(request, match[1], match[2], secretToken, messageMapping, ctx);
+    return handleWebhook(request, match[1], config, ctx);
+  }
+  if (HEALTH_PATTERN.test(path)) {
+    return handleHealth(request, config);
+  }
+  if ((match = path.match(API_PATTERN))) {
+    return handleAdminApi(request, match[1], config);
+  }
+  if (LEGACY_ADMIN_PATTERN.test(path)) {
+    return handleLegacyAdminRoute();
+  }
+  if ((match = path.match(LEGACY_WEBHOOK_PATTERN))) {
+    return handleLegacyWebhook(request, match[1], match[2], config, ctx);
   }
 
   return new Response('Not Found', { status: 404 });
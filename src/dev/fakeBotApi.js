@@ -0,0 +1,578 @@
+/**
+ * 离线 Telegram Bot API 模拟器
+ * - 在内存中维护聊天、论坛话题、置顶消息与消息 ID，并记录所有 API 调用
+ * - 通过 setTelegramClient / config.telegramClient 注入，无需网络即可跑通完整流程
+ * - 提供构造 Update 的辅助方法，并可将脚本化的 Update 经 handleRequest 回放
+ */
+
+import { handleRequest } from '../core.js';
+import { registerBot } from '../botRegistry.js';
+
+const FAKE_API_BASE = 'https://fake-telegram.local';
+const GENERAL_TOPIC_ID = 1;
+
+function ok(result) {
+  return { ok: true, result };
+}
+
+function fail(description, errorCode = 400) {
+  return { ok: false, error_code: errorCode, description };
+}
+
+/**
+ * @param {object} [options]
+ * @param {number} [options.botId=1000] - Bot 的用户 ID
+ * @param {string} [options.botUsername='fivegram_bot']
+ */
+export function createFakeBotApi({ botId = 1000, botUsername = 'fivegram_bot' } = {}) {
+  const chats = new Map();
+  const calls = [];
+  const files = new Map();  // file_id → 上传的文件内容
+  const profilePhotos = new Map();  // userId → 头像 file_id
+  const failures = [];  // injectFailure 注入的待返回错误
+  const botUser = { id: botId, is_bot: true, first_name: 'Fivegram', username: botUsername };
+  let webhook = { url: '', pending_update_count: 0 };
+  let nextUpdateId = 1;
+  let nextTopicId = 100;
+
+  function ensureChat(chatId) {
+    const id = Number(chatId);
+    if (!chats.has(id)) {
+      chats.set(id, {
+        chat: { id, type: id > 0 ? 'private' : 'supergroup' },
+        messages: new Map(),
+        nextMessageId: 1,
+        pinnedMessageId: null,
+        topics: new Map(),
+        members: new Map()
+      });
+    }
+    return chats.get(id);
+  }
+
+  function storeMessage(chatId, fields) {
+    const state = ensureChat(chatId);
+    const message = {
+      message_id: state.nextMessageId++,
+      date: Math.floor(Date.now() / 1000),
+      chat: state.chat,
+      ...fields
+    };
+    if (message.message_thread_id && state.chat.is_forum) message.is_topic_message = true;
+    state.messages.set(message.message_id, message);
+    return message;
+  }
+
+  // 取出匹配本次调用的注入错误
+  function takeFailure(method, body) {
+    const failure = failures.find((item) => item.method === method
+      && (item.chatId === undefined || Number(body.chat_id) === Number(item.chatId)));
+    if (!failure) return null;
+    failure.times -= 1;
+    if (failure.times <= 0) failures.splice(failures.indexOf(failure), 1);
+    return fail(failure.description, failure.errorCode);
+  }
+
+  function findMessage(chatId, messageId) {
+    return chats.get(Number(chatId))?.messages.get(Number(messageId)) || null;
+  }
+
+  function checkThread(state, threadId) {
+    if (!threadId || !state.chat.is_forum || threadId === GENERAL_TOPIC_ID) return null;
+    const topic = state.topics.get(threadId);
+    if (!topic) return fail('Bad Request: message thread not found');
+    if (topic.closed) return fail('Bad Request: TOPIC_CLOSED');
+    return null;
+  }
+
+  function replyFields(state, body) {
+    const replyId = body.reply_parameters?.message_id || body.reply_to_message_id;
+    if (!replyId) return {};
+    const reply = state.messages.get(replyId);
+    if (!reply && !body.reply_parameters?.allow_sending_without_reply) {
+      return { error: fail('Bad Request: message to be replied not found') };
+    }
+    return reply ? { reply_to_message: reply } : {};
+  }
+
+  function copyContent(source) {
+    const { text, entities, caption, caption_entities: captionEntities, photo, video, document, audio, animation, voice, sticker } = source;
+    return Object.fromEntries(Object.entries({
+      text, entities, caption, caption_entities: captionEntities, photo, video, document, audio, animation, voice, sticker
+    }).filter(([, value]) => value !== undefined));
+  }
+
+  function editMessage(body, fields) {
+    const message = findMessage(body.chat_id, body.message_id);
+    if (!message) return fail('Bad Request: message to edit not found');
+    const changed = Object.entries(fields).some(([key, value]) => JSON.stringify(message[key]) !== JSON.stringify(value));
+    if (!changed) return fail('Bad Request: message is not modified');
+    Object.assign(message, fields, { edit_date: Math.floor(Date.now() / 1000) });
+    return ok(message);
+  }
+
+  const methods = {
+    getMe: () => ok(botUser),
+
+    getChat(body) {
+      const state = ensureChat(body.chat_id);
+      const pinned = state.pinnedMessageId ? state.messages.get(state.pinnedMessageId) : undefined;
+      return ok({ ...state.chat, pinned_message: pinned });
+    },
+
+    getChatMember(body) {
+      const state = ensureChat(body.chat_id);
+      const status = state.members.get(Number(body.user_id)) || (Number(body.user_id) === botId ? 'administrator' : 'member');
+      const rights = status === 'administrator' && Number(body.user_id) === botId
+        ? { can_manage_topics: true, can_delete_messages: true, can_pin_messages: true }
+        : {};
+      return ok({ status, user: { id: Number(body.user_id) }, ...rights });
+    },
+
+    getChatAdministrators(body) {
+      const state = ensureChat(body.chat_id);
+      const admins = [...state.members.entries()]
+        .filter(([, status]) => status === 'creator' || status === 'administrator')
+        .map(([id, status]) => ({ status, user: { id } }));
+      return ok(admins);
+    },
+
+    sendMessage(body) {
+      const state = ensureChat(body.chat_id);
+      const threadError = checkThread(state, body.message_thread_id);
+      if (threadError) return threadError;
+      const reply = replyFields(state, body);
+      if (reply.error) return reply.error;
+      return ok(storeMessage(body.chat_id, {
+        from: botUser,
+        message_thread_id: body.message_thread_id,
+        text: body.text,
+        entities: body.entities,
+        reply_markup: body.reply_markup,
+        ...reply
+      }));
+    },
+
+    sendDocument(body) {
+      const state = ensureChat(body.chat_id);
+      const fileId = `fake-doc-${calls.length}`;
+      files.set(fileId, body.document?.content ?? '');
+      return ok(storeMessage(state.chat.id, {
+        from: botUser,
+        message_thread_id: body.message_thread_id,
+        document: { file_id: fileId, file_name: body.document?.file_name || 'document' },
+        caption: body.caption
+      }));
+    },
+
+    sendPhoto(body) {
+      const state = ensureChat(body.chat_id);
+      const threadError = checkThread(state, body.message_thread_id);
+      if (threadError) return threadError;
+      return ok(storeMessage(body.chat_id, {
+        from: botUser,
+        message_thread_id: body.message_thread_id,
+        photo: [{ file_id: body.photo }],
+        caption: body.caption
+      }));
+    },
+
+    getUserProfilePhotos(body) {
+      const fileId = profilePhotos.get(Number(body.user_id));
+      return ok({ total_count: fileId ? 1 : 0, photos: fileId ? [[{ file_id: fileId }]] : [] });
+    },
+
+    getFile(body) {
+      if (!files.has(body.file_id)) return fail('Bad Request: invalid file_id');
+      return ok({ file_id: body.file_id, file_path: `documents/${body.file_id}` });
+    },
+
+    copyMessage(body) {
+      const source = findMessage(body.from_chat_id, body.message_id);
+      if (!source) return fail('Bad Request: message to copy not found');
+      const state = ensureChat(body.chat_id);
+      const threadError = checkThread(state, body.message_thread_id);
+      if (threadError) return threadError;
+      const reply = replyFields(state, body);
+      if (reply.error) return reply.error;
+      const copy = storeMessage(body.chat_id, {
+        from: botUser,
+        message_thread_id: body.message_thread_id,
+        ...copyContent(source),
+        ...reply
+      });
+      return ok({ message_id: copy.message_id });
+    },
+
+    copyMessages(body) {
+      const results = [];
+      for (const messageId of body.message_ids || []) {
+        const resp = methods.copyMessage({ ...body, message_id: messageId });
+        if (!resp.ok) return resp;
+        results.push(resp.result);
+      }
+      return ok(results);
+    },
+
+    editMessageText: (body) => editMessage(body, { text: body.text, entities: body.entities, reply_markup: body.reply_markup }),
+
+    editMessageReplyMarkup(body) {
+      const message = findMessage(body.chat_id, body.message_id);
+      if (!message) return fail('Bad Request: message to edit not found');
+      message.reply_markup = body.reply_markup;
+      return ok(message);
+    },
+
+    answerCallbackQuery: () => ok(true),
+
+    sendChatAction(body) {
+      const threadError = checkThread(ensureChat(body.chat_id), body.message_thread_id);
+      return threadError || ok(true);
+    },
+
+    editMessageCaption: (body) => editMessage(body, { caption: body.caption, caption_entities: body.caption_entities }),
+
+    editMessageMedia(body) {
+      const { type, media, caption, caption_entities: captionEntities } = body.media || {};
+      const message = findMessage(body.chat_id, body.message_id);
+      if (!message) return fail('Bad Request: message to edit not found');
+      if (message.text !== undefined) return fail("Bad Request: there is no media in the message to edit");
+      // 替换媒体时移除原有的其他媒体字段
+      for (const key of ['photo', 'video', 'animation', 'document', 'audio']) {
+        if (key !== type) delete message[key];
+      }
+      const file = { file_id: media };
+      return editMessage(body, { [type]: type === 'photo' ? [file] : file, caption, caption_entities: captionEntities });
+    },
+
+    deleteMessage(body) {
+      const state = chats.get(Number(body.chat_id));
+      if (!state?.messages.delete(Number(body.message_id))) return fail('Bad Request: message to delete not found');
+      return ok(true);
+    },
+
+    deleteMessages(body) {
+      const state = ensureChat(body.chat_id);
+      for (const messageId of body.message_ids || []) state.messages.delete(Number(messageId));
+      return ok(true);
+    },
+
+    pinChatMessage(body) {
+      const state = ensureChat(body.chat_id);
+      if (!state.messages.has(Number(body.message_id))) return fail('Bad Request: message to pin not found');
+      state.pinnedMessageId = Number(body.message_id);
+      return ok(true);
+    },
+
+    unpinAllChatMessages(body) {
+      ensureChat(body.chat_id).pinnedMessageId = null;
+      return ok(true);
+    },
+
+    createForumTopic(body) {
+      const state = ensureChat(body.chat_id);
+      if (!state.chat.is_forum) return fail('Bad Request: the chat is not a forum');
+      const topicId = nextTopicId++;
+      state.topics.set(topicId, { name: body.name, closed: false });
+      storeMessage(state.chat.id, { message_thread_id: topicId, forum_topic_created: { name: body.name } });
+      return ok({ message_thread_id: topicId, name: body.name });
+    },
+
+    editForumTopic(body) {
+      const topic = ensureChat(body.chat_id).topics.get(body.message_thread_id);
+      if (!topic) return fail('Bad Request: TOPIC_ID_INVALID');
+      // 与 Telegram 一致：名称没有变化时返回错误
+      if (!body.name || body.name === topic.name) return fail('Bad Request: TOPIC_NOT_MODIFIED');
+      topic.name = body.name;
+      return ok(true);
+    },
+
+    closeForumTopic(body) {
+      const topic = ensureChat(body.chat_id).topics.get(body.message_thread_id);
+      if (!topic) return fail('Bad Request: TOPIC_ID_INVALID');
+      topic.closed = true;
+      return ok(true);
+    },
+
+    reopenForumTopic(body) {
+      const topic = ensureChat(body.chat_id).topics.get(body.message_thread_id);
+      if (!topic) return fail('Bad Request: TOPIC_ID_INVALID');
+      if (!topic.closed) return fail('Bad Request: TOPIC_NOT_MODIFIED');
+      topic.closed = false;
+      return ok(true);
+    },
+
+    deleteForumTopic(body) {
+      const state = ensureChat(body.chat_id);
+      if (!state.topics.delete(body.message_thread_id)) return fail('Bad Request: TOPIC_ID_INVALID');
+      for (const [id, message] of state.messages) {
+        if (message.message_thread_id === body.message_thread_id) state.messages.delete(id);
+      }
+      return ok(true);
+    },
+
+    setMessageReaction(body) {
+      const message = findMessage(body.chat_id, body.message_id);
+      if (!message) return fail('Bad Request: message to react not found');
+      if ((body.reaction || []).length > 1) return fail('Bad Request: REACTIONS_TOO_MANY');
+      message.bot_reaction = body.reaction;
+      return ok(true);
+    },
+
+    setWebhook(body) {
+      webhook = { url: body.url, pending_update_count: 0, allowed_updates: body.allowed_updates };
+      return ok(true);
+    },
+
+    deleteWebhook() {
+      webhook = { url: '', pending_update_count: 0 };
+      return ok(true);
+    },
+
+    getWebhookInfo: () => ok(webhook),
+
+    getUpdates: () => ok([])
+  };
+
+  // multipart 请求：上传的文件转换为 { file_name, content }，JSON 字段按原样解析
+  async function parseFormData(form) {
+    const body = {};
+    for (const [key, value] of form) {
+      if (typeof value !== 'string') {
+        body[key] = { file_name: value.name, content: await value.text() };
+      } else if (/^[[{]/.test(value)) {
+        body[key] = JSON.parse(value);
+      } else {
+        body[key] = value;
+      }
+    }
+    return body;
+  }
+
+  const api = {
+    apiBase: FAKE_API_BASE,
+    calls,
+    chats,
+
+    // 与 fetch 签名一致，可直接作为 telegramClient.fetch 注入
+    async fetch(url, init = {}) {
+      const { pathname } = new URL(url);
+      if (pathname.startsWith('/file/')) {
+        const content = files.get(pathname.split('/').pop());
+        return new Response(content ?? 'Not Found', { status: content === undefined ? 404 : 200 });
+      }
+      const method = pathname.split('/').pop();
+      const body = init.body instanceof FormData ? await parseFormData(init.body) : init.body ? JSON.parse(init.body) : {};
+      const handler = methods[method];
+      const injected = takeFailure(method, body);
+      const result = injected || (handler ? handler(body) : fail('Not Found: method not found', 404));
+      calls.push({ method, body, result });
+      return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+    },
+
+    // 供 setTelegramClient / config.telegramClient 使用
+    get client() {
+      return { apiBase: FAKE_API_BASE, fetch: api.fetch };
+    },
+
+    // 模拟用户上传文件，返回可放入消息的 document 字段
+    uploadFile(fileName, content) {
+      const fileId = `fake-upload-${files.size + 1}`;
+      files.set(fileId, content);
+      return { file_id: fileId, file_name: fileName, file_size: content.length };
+    },
+
+    /**
+     * 让之后的若干次调用直接返回错误，模拟限流、服务端故障等
+     * - 注意 callTelegramApi 会按重试策略重试，times 需覆盖全部重试次数
+     * @param {string} method - Bot API 方法
+     * @param {object} [options]
+     * @param {number} [options.times=1] - 返回错误的次数
+     * @param {number} [options.chatId] - 只对该 chat_id 的调用生效
+     */
+    injectFailure(method, { times = 1, chatId, errorCode = 500, description = 'Internal Server Error' } = {}) {
+      failures.push({ method, times, chatId, errorCode, description });
+    },
+
+    // 设置用户头像，供 getUserProfilePhotos 返回
+    setProfilePhoto(userId, fileId) {
+      profilePhotos.set(Number(userId), fileId);
+    },
+
+    callsOf(method) {
+      return calls.filter((call) => call.method === method);
+    },
+
+    createSupergroup(chatId, { title = 'Fivegram Group', admins = [] } = {}) {
+      const state = ensureChat(chatId);
+      Object.assign(state.chat, { type: 'supergroup', title, is_forum: true });
+      state.members.set(botId, 'administrator');
+      for (const adminId of admins) state.members.set(Number(adminId), 'administrator');
+      return state.chat;
+    },
+
+    getTopic(chatId, topicId) {
+      return chats.get(Number(chatId))?.topics.get(topicId) || null;
+    },
+
+    getMessages(chatId) {
+      return [...(chats.get(Number(chatId))?.messages.values() || [])];
+    },
+
+    getPinnedMessage(chatId) {
+      const state = chats.get(Number(chatId));
+      return state?.pinnedMessageId ? state.messages.get(state.pinnedMessageId) : null;
+    },
+
+    /**
+     * 构造用户私聊消息 Update，消息会写入模拟器以便后续 copyMessage
+     */
+    privateMessage(user, fields = {}) {
+      const state = ensureChat(user.id);
+      Object.assign(state.chat, { type: 'private', first_name: user.first_name, username: user.username });
+      const { replyTo, ...rest } = fields;
+      const message = storeMessage(user.id, {
+        from: { is_bot: false, ...user },
+        ...(replyTo ? { reply_to_message: findMessage(user.id, replyTo) } : {}),
+        ...rest
+      });
+      return { update_id: nextUpdateId++, message };
+    },
+
+    /**
+     * 构造超级群话题内消息 Update
+     */
+    topicMessage(chatId, topicId, user, fields = {}) {
+      const { replyTo, ...rest } = fields;
+      const message = storeMessage(chatId, {
+        from: { is_bot: false, ...user },
+        message_thread_id: topicId,
+        ...(replyTo ? { reply_to_message: findMessage(chatId, replyTo) } : {}),
+        ...rest
+      });
+      return { update_id: nextUpdateId++, message };
+    },
+
+    /**
+     * 构造超级群 General 话题内消息 Update（如 /init）
+     */
+    groupMessage(chatId, user, fields = {}) {
+      const message = storeMessage(chatId, { from: { is_bot: false, ...user }, ...fields });
+      return { update_id: nextUpdateId++, message };
+    },
+
+    /**
+     * 构造编辑消息 Update，同时修改模拟器中的原消息
+     */
+    editedMessage(chatId, messageId, fields) {
+      const message = findMessage(chatId, messageId);
+      Object.assign(message, fields, { edit_date: Math.floor(Date.now() / 1000) });
+      return { update_id: nextUpdateId++, edited_message: { ...message } };
+    },
+
+    /**
+     * 构造 Emoji Reaction Update
+     */
+    reaction(chatId, messageId, user, emojis, fields = {}) {
+      const state = ensureChat(chatId);
+      return {
+        update_id: nextUpdateId++,
+        message_reaction: {
+          chat: state.chat,
+          message_id: messageId,
+          user: { is_bot: false, ...user },
+          date: Math.floor(Date.now() / 1000),
+          old_reaction: [],
+          new_reaction: emojis.map((emoji) => ({ type: 'emoji', emoji })),
+          ...fields
+        }
+      };
+    },
+
+    /**
+     * 构造 chat_member Update，同时更新模拟器中的成员身份
+     */
+    chatMember(chatId, user, oldStatus, newStatus) {
+      const state = ensureChat(chatId);
+      state.members.set(Number(user.id), newStatus);
+      return {
+        update_id: nextUpdateId++,
+        chat_member: {
+          chat: state.chat,
+          from: user,
+          date: Math.floor(Date.now() / 1000),
+          old_chat_member: { status: oldStatus, user },
+          new_chat_member: { status: newStatus, user }
+        }
+      };
+    },
+
+    /**
+     * 构造 Bot 自身的 my_chat_member Update，同时更新模拟器中的成员身份
+     * @param {object} [rights] - 管理员权限字段，如 { can_manage_topics: true }
+     */
+    myChatMember(chatId, oldStatus, newStatus, rights = {}) {
+      const state = ensureChat(chatId);
+      state.members.set(botId, newStatus);
+      return {
+        update_id: nextUpdateId++,
+        my_chat_member: {
+          chat: state.chat,
+          from: { id: Number(chatId), is_bot: false, first_name: 'Admin' },
+          date: Math.floor(Date.now() / 1000),
+          old_chat_member: { status: oldStatus, user: botUser },
+          new_chat_member: { status: newStatus, user: botUser, ...rights }
+        }
+      };
+    },
+
+    /**
+     * 构造 Inline 按钮回调 Update
+     */
+    callbackQuery(chatId, messageId, user, data) {
+      return {
+        update_id: nextUpdateId++,
+        callback_query: {
+          id: `cbq-${nextUpdateId}`,
+          from: { is_bot: false, ...user },
+          message: findMessage(chatId, messageId),
+          chat_instance: String(chatId),
+          data
+        }
+      };
+    },
+
+    /**
+     * 依次将 Update 通过 handleRequest 的 Webhook 路由回放
+     * @param {Array<object>} updates
+     * @param {object} options
+     * @param {object} options.config - 传给 handleRequest 的配置（prefix / secretToken / storage 等），Bot 会自动注册到 storage
+     * @param {string|number} options.ownerUid
+     * @param {string} options.botToken
+     * @param {object} [options.ctx] - ExecutionContext，默认等待所有后台任务
+     * @returns {Promise<Array<Response>>}
+     */
+    async replay(updates, { config, ownerUid, botToken, ctx }) {
+      const pending = [];
+      const executionCtx = ctx || { waitUntil: (promise) => pending.push(promise) };
+      const responses = [];
+      const bot = await registerBot(config.storage, { botToken, ownerUid });
+      for (const update of updates) {
+        const request = new Request(`https://fivegram.local/${config.prefix}/webhook/${bot.botId}`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'X-Telegram-Bot-Api-Secret-Token': bot.webhookSecret
+          },
+          body: JSON.stringify(update)
+        });
+        responses.push(await handleRequest(request, { ...config, telegramClient: api.client }, executionCtx));
+        // 处理过程中可能继续注册 waitUntil（如相册缓冲），全部完成后再投递下一条
+        while (pending.length) await Promise.all(pending.splice(0));
+      }
+      return responses;
+    }
+  };
+
+  return api;
+}
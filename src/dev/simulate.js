@@ -0,0 +1,473 @@
+/**
+ * 离线端到端演练
+ * - 使用 fakeBotApi + 内存存储，按脚本回放 Update 并校验结果
+ * - 无需网络与真实 Bot：node src/dev/simulate.js
+ */
+
+import { pathToFileURL } from 'node:url';
+import { createFakeBotApi } from './fakeBotApi.js';
+import { createMemoryStorage } from '../storage/memoryStorage.js';
+import { createEmptyMetadata, loadTopicMappingFromKV, saveTopicMappingToKV, upsertMapping } from '../metadataManager.js';
+import { getBot, getBotId, getTenantStorage, registerBot } from '../botRegistry.js';
+import { SCHEMA_VERSION } from '../schemaMigrations.js';
+import { createCoordinatedKVStorage, MetadataCoordinator } from '../storage/durableStorage.js';
+import { checkStorage } from '../diagnostics.js';
+import { handleRequest } from '../core.js';
+
+const OWNER = { id: 42, first_name: 'Owner' };
+const USER = { id: 501, first_name: 'Alice', username: 'alice' };
+const ALBUM_USER = { id: 502, first_name: 'Bob' };
+const GROUP_ID = -1001234;
+const BOT_TOKEN = '1000:FAKE_TOKEN';
+const LEGACY_OWNER = { id: 43, first_name: 'Legacy' };
+const LEGACY_GROUP_ID = -1005678;
+const LEGACY_BOT_TOKEN = '2000:FAKE_TOKEN';
+const CONCURRENT_OWNER = { id: 44, first_name: 'Busy' };
+const CONCURRENT_GROUP_ID = -1009012;
+const CONCURRENT_BOT_TOKEN = '3000:FAKE_TOKEN';
+const LEGACY_WEBHOOK_BOT_TOKEN = '4000:FAKE_TOKEN';
+
+// 每次读写随机延迟，放大并发请求之间的交错
+function createSlowStorage(storage) {
+  const delay = () => new Promise((resolve) => setTimeout(resolve, Math.random() * 5));
+  const slow = (method) => async (...args) => {
+    await delay();
+    const result = await storage[method](...args);
+    await delay();
+    return result;
+  };
+  return {
+    get: slow('get'),
+    put: slow('put'),
+    delete: slow('delete'),
+    list: slow('list'),
+    writeVersioned: slow('writeVersioned')
+  };
+}
+
+// 模拟 Cloudflare KV：不支持条件写入，写入约 KV_VISIBILITY_DELAY 毫秒后才对读取可见
+const KV_VISIBILITY_DELAY = 20;
+function createEventualKV() {
+  const visible = createMemoryStorage();
+  delete visible.writeVersioned;
+  const later = (task) => new Promise((resolve) => setTimeout(resolve, KV_VISIBILITY_DELAY)).then(task);
+  return {
+    ...visible,
+    put: async (key, value, options) => {
+      later(() => visible.put(key, value, options));
+    },
+    delete: async (key) => {
+      later(() => visible.delete(key));
+    }
+  };
+}
+
+// 模拟 Durable Object 命名空间：按名称复用同一个 MetadataCoordinator 实例
+function createCoordinatorNamespace(kv) {
+  const objects = new Map();
+  return {
+    idFromName: (name) => name,
+    get(id) {
+      if (!objects.has(id)) {
+        const records = new Map();
+        const state = {
+          storage: {
+            get: async (key) => records.get(key),
+            put: async (key, value) => {
+              records.set(key, structuredClone(value));
+            }
+          }
+        };
+        objects.set(id, new MetadataCoordinator(state, { MESSAGE_MAPPING: kv }));
+      }
+      const object = objects.get(id);
+      return { fetch: (url, init) => object.fetch(new Request(url, init)) };
+    }
+  };
+}
+
+// 两份 metadataManager 模块（模拟两个 isolate）交替向同一存储写入 30 个 Topic 映射，返回最终保留的数量
+async function saveFromTwoIsolates(storage, isolate) {
+  await saveTopicMappingToKV(storage, CONCURRENT_GROUP_ID, createEmptyMetadata(CONCURRENT_GROUP_ID));
+  await Promise.all(Array.from({ length: 30 }, (_, index) => {
+    const save = index % 2 ? isolate.saveTopicMappingToKV : saveTopicMappingToKV;
+    return save(storage, CONCURRENT_GROUP_ID, createEmptyMetadata(CONCURRENT_GROUP_ID),
+      (data) => upsertMapping(data, 1000 + index, 5000 + index));
+  }));
+  // 等待 KV 写入全部可见
+  await new Promise((resolve) => setTimeout(resolve, KV_VISIBILITY_DELAY * 2));
+  return (await loadTopicMappingFromKV(storage, CONCURRENT_GROUP_ID))?.topicToFromChat.size;
+}
+
+/**
+ * 多个用户同时私聊：每条消息都会创建 Topic 并写入 `topics:` 映射，不能互相覆盖
+ * - 同一 isolate：通过 Webhook 并行回放
+ * - 跨 isolate：另行加载一份 metadataManager 模块（isolate 内的串行锁不共享），两份模块交替写入同一存储
+ * - KV：写入延迟可见且没有条件写入，经 Durable Object 协调后同样不丢失；未绑定时自检提示
+ */
+async function simulateConcurrentWrites(fake, config, check) {
+  const storage = createSlowStorage(createMemoryStorage());
+  const concurrentConfig = { ...config, storage };
+  const replay = (update) => fake.replay([update], {
+    config: concurrentConfig,
+    ownerUid: String(CONCURRENT_OWNER.id),
+    botToken: CONCURRENT_BOT_TOKEN
+  });
+  fake.createSupergroup(CONCURRENT_GROUP_ID, { admins: [CONCURRENT_OWNER.id] });
+  await replay(fake.groupMessage(CONCURRENT_GROUP_ID, CONCURRENT_OWNER, { text: '/init' }));
+
+  const users = Array.from({ length: 8 }, (_, index) => ({ id: 900 + index, first_name: `Guest${index}` }));
+  await Promise.all(users.map((user) => replay(fake.privateMessage(user, { text: 'at the same time' }))));
+  const tenant = getTenantStorage(storage, await getBot(storage, getBotId(CONCURRENT_BOT_TOKEN)));
+  const stored = await loadTopicMappingFromKV(tenant, CONCURRENT_GROUP_ID);
+  const forwarded = users.every((user) => fake.getMessages(CONCURRENT_GROUP_ID)
+    .some((m) => m.text === 'at the same time' && m.message_thread_id === stored?.fromChatToTopic.get(user.id)));
+
+  const isolate = await import('../metadataManager.js?isolate=2');
+  const merged = await saveFromTwoIsolates(createSlowStorage(createMemoryStorage()), isolate);
+  check('并发私聊与跨 isolate 写入不丢失 Topic 映射', stored?.topicToFromChat.size === users.length && forwarded
+    && merged === 30);
+
+  const kv = createEventualKV();
+  const coordinated = await saveFromTwoIsolates(createCoordinatedKVStorage(kv, createCoordinatorNamespace(kv)), isolate);
+  const uncoordinatedKV = createMemoryStorage();
+  delete uncoordinatedKV.writeVersioned;
+  const uncoordinated = await checkStorage(uncoordinatedKV);
+  check('KV 经 Durable Object 协调后跨 isolate 写入不丢失，未绑定时自检提示', coordinated === 30
+    && !uncoordinated.ok && uncoordinated.fix.includes('METADATA_COORDINATOR'));
+}
+
+/**
+ * 编辑同步（见 editSync.js），在更名后的相册用户 Topic 内进行
+ * - 用户 / Owner 修改说明文字 → 另一侧对应消息的说明文字同步修改
+ * - 用户替换图片 → editMessageMedia 替换 Topic 内的图片
+ * - Topic 内的对应消息已被删除 → 重新复制最新内容并提示，映射指向新消息
+ */
+async function simulateEditSync(fake, replay, tenantStorage, check, topicId) {
+  const user = { ...ALBUM_USER, first_name: 'Robert' };
+  const findCopy = async (chatId, key) => {
+    const entry = await tenantStorage.get(key, { type: 'json' });
+    const messageId = entry?.topicMessageId ?? entry?.pmMessageId;
+    return fake.getMessages(chatId).find((m) => m.message_id === messageId) || null;
+  };
+  const topicCopyOf = (pmMessageId) => findCopy(GROUP_ID, `msg:pm:${GROUP_ID}:${pmMessageId}`);
+  const pmCopyOf = (topicMessageId) => findCopy(user.id, `msg:topic:${GROUP_ID}:${topicMessageId}`);
+
+  const photo = fake.privateMessage(user, { photo: [{ file_id: 'photo-edit-1' }], caption: 'draft' });
+  await replay(photo);
+  const pmMessageId = photo.message.message_id;
+  await replay(fake.editedMessage(user.id, pmMessageId, { caption: 'final' }));
+  check('用户修改说明文字同步到 Topic', (await topicCopyOf(pmMessageId))?.caption === 'final');
+
+  const ownerPhoto = fake.topicMessage(GROUP_ID, topicId, OWNER, { photo: [{ file_id: 'photo-owner' }], caption: '报价 100' });
+  await replay(ownerPhoto);
+  const ownerMessageId = ownerPhoto.message.message_id;
+  await replay(fake.editedMessage(GROUP_ID, ownerMessageId, { caption: '报价 90' }));
+  check('Owner 修改说明文字同步到用户私聊', (await pmCopyOf(ownerMessageId))?.caption === '报价 90');
+
+  await replay(fake.editedMessage(user.id, pmMessageId, { photo: [{ file_id: 'photo-edit-2' }] }));
+  const replaced = await topicCopyOf(pmMessageId);
+  check('用户替换图片同步到 Topic', replaced?.photo?.[0]?.file_id === 'photo-edit-2' && replaced.caption === 'final');
+
+  fake.chats.get(GROUP_ID).messages.delete(replaced?.message_id);
+  await replay(fake.editedMessage(user.id, pmMessageId, { caption: 'final v2' }));
+  const recopied = await topicCopyOf(pmMessageId);
+  check('Topic 内消息无法编辑时重新复制并更新映射', recopied && recopied.message_id !== replaced?.message_id
+    && recopied.caption === 'final v2' && recopied.photo?.[0]?.file_id === 'photo-edit-2'
+    && fake.getMessages(GROUP_ID).some((m) => m.reply_to_message?.message_id === recopied.message_id && m.text?.startsWith('⬆️ 消息已编辑')));
+}
+
+/**
+ * Schema 迁移（见 schemaMigrations.js），每个场景使用独立的存储
+ * - v0：Owner 置顶元数据、超级群置顶消息映射、KV 映射数组
+ * - v1：已迁移到存储，残留 KV 映射数组
+ * - v2：当前版本，不再读取置顶消息
+ * - 迁移重复执行不改变数据；读取置顶失败时不推进版本，下次加载继续
+ */
+async function simulateSchemaMigrations(fake, config, check) {
+  const pin = async (chatId, text) => {
+    const sent = await (await fake.fetch(`https://api.telegram.org/bot${LEGACY_BOT_TOKEN}/sendMessage`, {
+      method: 'POST',
+      body: JSON.stringify({ chat_id: chatId, text })
+    })).json();
+    await fake.fetch(`https://api.telegram.org/bot${LEGACY_BOT_TOKEN}/pinChatMessage`, {
+      method: 'POST',
+      body: JSON.stringify({ chat_id: chatId, message_id: sent.result.message_id })
+    });
+  };
+  // 创建独立存储并按 seed 写入历史数据，返回 { tenant, load }，load 以 Owner 消息触发一次加载
+  const createFixture = async (seed) => {
+    const storage = createMemoryStorage();
+    const bot = await registerBot(storage, { botToken: LEGACY_BOT_TOKEN, ownerUid: String(LEGACY_OWNER.id) });
+    const tenant = getTenantStorage(storage, bot);
+    await seed(tenant);
+    const load = () => fake.replay([fake.privateMessage(LEGACY_OWNER, { text: '/status' })], {
+      config: { ...config, storage },
+      ownerUid: String(LEGACY_OWNER.id),
+      botToken: LEGACY_BOT_TOKEN
+    });
+    return { tenant, load };
+  };
+  // 读取置顶元数据的次数（v1 迁移之外不会读取 Owner 私聊置顶）
+  const pinnedReads = () => fake.callsOf('getChat').filter((call) => Number(call.body.chat_id) === LEGACY_OWNER.id).length;
+  // Topic 映射与消息映射的快照，用于比较迁移前后
+  const snapshot = async (tenant) => {
+    const entries = [];
+    for (const prefix of [`topics:${LEGACY_GROUP_ID}`, `msg:`, `mapping:`, 'binding:']) {
+      for (const key of (await tenant.list({ prefix })).keys) entries.push([key.name, await tenant.get(key.name)]);
+    }
+    return JSON.stringify(entries);
+  };
+  const legacyMetaData = () => {
+    const metaData = createEmptyMetadata(LEGACY_GROUP_ID);
+    upsertMapping(metaData, 200, 777, 'VIP');
+    upsertMapping(metaData, 201, 778);
+    metaData.bannedTopics.push('200');
+    return metaData;
+  };
+  const seedV0 = async (tenant) => {
+    await pin(LEGACY_OWNER.id, `${LEGACY_GROUP_ID};200:b777:VIP;201:778`);
+    await pin(LEGACY_GROUP_ID, '200-5:9;201-6:10');
+    await tenant.put(`mapping:${LEGACY_GROUP_ID}`, JSON.stringify([{ topicId: 201, topicMessageId: 7, pmMessageId: 11 }]));
+  };
+  const seedV1 = async (tenant) => {
+    await tenant.put('schema:version', '1');
+    await tenant.put(`binding:${LEGACY_OWNER.id}`, JSON.stringify({ superGroupChatId: LEGACY_GROUP_ID }));
+    await saveTopicMappingToKV(tenant, LEGACY_GROUP_ID, legacyMetaData());
+    await tenant.put(`mapping:${LEGACY_GROUP_ID}`, JSON.stringify([{ topicId: 201, topicMessageId: 7, pmMessageId: 11 }]));
+  };
+  const migratedV0 = async (tenant) => {
+    const migrated = await tenant.get(`topics:${LEGACY_GROUP_ID}`, { type: 'json' });
+    return Number(await tenant.get('schema:version')) === SCHEMA_VERSION
+      && (await tenant.get(`binding:${LEGACY_OWNER.id}`, { type: 'json' }))?.superGroupChatId === LEGACY_GROUP_ID
+      && migrated?.bannedTopics.includes('200') && migrated.topicToComment[0]?.[1] === 'VIP'
+      && (await tenant.get(`msg:topic:${LEGACY_GROUP_ID}:5`, { type: 'json' }))?.pmMessageId === 9
+      && (await tenant.get(`msg:pm:${LEGACY_GROUP_ID}:11`, { type: 'json' }))?.topicMessageId === 7
+      && !(await tenant.get(`mapping:${LEGACY_GROUP_ID}`));
+  };
+
+  const v0 = await createFixture(seedV0);
+  await v0.load();
+  check('v0 旧格式数据（置顶消息、KV 映射数组）迁移到存储', await migratedV0(v0.tenant));
+
+  // 迁移完成后版本号丢失（如并发加载时另一方尚未写入版本），重新执行全部迁移
+  const migratedSnapshot = await snapshot(v0.tenant);
+  await v0.tenant.put('schema:version', '0');
+  await v0.load();
+  check('迁移重复执行不改变已迁移的数据', Number(await v0.tenant.get('schema:version')) === SCHEMA_VERSION
+    && await snapshot(v0.tenant) === migratedSnapshot);
+
+  const v1 = await createFixture(seedV1);
+  const readsBeforeV1 = pinnedReads();
+  await v1.load();
+  check('v1 数据只执行后续迁移（拆分 KV 映射数组）', Number(await v1.tenant.get('schema:version')) === SCHEMA_VERSION
+    && pinnedReads() === readsBeforeV1
+    && (await v1.tenant.get(`msg:topic:${LEGACY_GROUP_ID}:7`, { type: 'json' }))?.pmMessageId === 11
+    && !(await v1.tenant.get(`mapping:${LEGACY_GROUP_ID}`))
+    && (await loadTopicMappingFromKV(v1.tenant, LEGACY_GROUP_ID))?.topicToFromChat.get(201) === 778);
+
+  // 映射数组较大时每次加载只拆分一批（200 条），全部拆分后才推进版本
+  const large = await createFixture(async (tenant) => {
+    await seedV1(tenant);
+    await tenant.put(`mapping:${LEGACY_GROUP_ID}`, JSON.stringify(Array.from({ length: 450 }, (_, index) => ({
+      topicId: 201, topicMessageId: 1000 + index, pmMessageId: 2000 + index
+    }))));
+  });
+  const versions = [];
+  for (let load = 0; load < 3; load += 1) {
+    await large.load();
+    versions.push(Number(await large.tenant.get('schema:version')));
+  }
+  check('大量旧版映射分批拆分，完成后才推进版本', versions.join(',') === `1,1,${SCHEMA_VERSION}`
+    && (await large.tenant.list({ prefix: `msg:topic:${LEGACY_GROUP_ID}:` })).keys.length === 450
+    && !(await large.tenant.get(`mapping:${LEGACY_GROUP_ID}`)));
+
+  const v2 = await createFixture(async (tenant) => {
+    await seedV1(tenant);
+    await tenant.delete(`mapping:${LEGACY_GROUP_ID}`);
+    await tenant.put('schema:version', String(SCHEMA_VERSION));
+  });
+  const v2Snapshot = await snapshot(v2.tenant);
+  const readsBeforeV2 = pinnedReads();
+  await v2.load();
+  check('v2 数据不再执行迁移', Number(await v2.tenant.get('schema:version')) === SCHEMA_VERSION
+    && pinnedReads() === readsBeforeV2 && await snapshot(v2.tenant) === v2Snapshot);
+
+  // 读取超级群置顶时服务端持续出错（含重试）：已写入的绑定保留，版本不推进；下次加载从断点继续
+  const interrupted = await createFixture(seedV0);
+  fake.injectFailure('getChat', { chatId: LEGACY_GROUP_ID, times: 3 });
+  await interrupted.load();
+  const stalled = !(await interrupted.tenant.get('schema:version'))
+    && (await interrupted.tenant.get(`binding:${LEGACY_OWNER.id}`, { type: 'json' }))?.superGroupChatId === LEGACY_GROUP_ID
+    && !(await interrupted.tenant.get(`msg:topic:${LEGACY_GROUP_ID}:5`));
+  await interrupted.load();
+  check('迁移中断时不推进版本，下次加载继续完成', stalled && await migratedV0(interrupted.tenant));
+}
+
+// 旧版 Webhook 地址：缺少密钥时拒绝，迁移只执行一次
+async function simulateLegacyWebhook(fake, config, check) {
+  const storage = createMemoryStorage();
+  const post = (secret, overrides = {}) => handleRequest(new Request(
+    `https://fivegram.local/${config.prefix}/webhook/${OWNER.id}/${LEGACY_WEBHOOK_BOT_TOKEN}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...(secret && { 'X-Telegram-Bot-Api-Secret-Token': secret }) },
+      body: JSON.stringify(fake.privateMessage(USER, { text: 'legacy' }))
+    }), { ...config, storage, telegramClient: fake.client, ...overrides }, { waitUntil: () => {} });
+  const webhooksBefore = fake.callsOf('setWebhook').length;
+
+  const rejected = [await post(), await post('wrong'), await post(config.secretToken, { secretToken: '' })];
+  const unregistered = !(await getBot(storage, getBotId(LEGACY_WEBHOOK_BOT_TOKEN)));
+  for (let i = 0; i < 3; i += 1) await post(config.secretToken);
+  const migrations = fake.callsOf('setWebhook').slice(webhooksBefore);
+  check('旧版 Webhook 地址缺少密钥时拒绝，只迁移一次', rejected.every((resp) => resp.status === 401) && unregistered
+    && migrations.length === 1 && migrations[0].body.url.endsWith(`/webhook/${getBotId(LEGACY_WEBHOOK_BOT_TOKEN)}`)
+    && await getBot(storage, getBotId(LEGACY_WEBHOOK_BOT_TOKEN)));
+}
+
+export async function runSimulation() {
+  const fake = createFakeBotApi();
+  const storage = createMemoryStorage();
+  const config = { prefix: 'fivegram', secretToken: 'Simulate_Token_123', storage };
+  const replay = (...updates) => fake.replay(updates, { config, ownerUid: String(OWNER.id), botToken: BOT_TOKEN });
+  const results = [];
+  const check = (name, passed) => results.push({ name, passed: Boolean(passed) });
+
+  fake.createSupergroup(GROUP_ID, { admins: [OWNER.id] });
+
+  // 1. Owner 在 General 话题初始化
+  await replay(fake.groupMessage(GROUP_ID, OWNER, { text: '/init' }));
+  const bot = await getBot(storage, getBotId(BOT_TOKEN));
+  const tenantStorage = getTenantStorage(storage, bot);
+  check('/init 绑定超级群', (await tenantStorage.get(`binding:${OWNER.id}`, { type: 'json' }))?.superGroupChatId === GROUP_ID
+    && bot.groupId === GROUP_ID);
+
+  // 2. 用户私聊 → 创建 Topic 并复制消息
+  const hello = fake.privateMessage(USER, { text: 'hello' });
+  await replay(hello);
+  const topicId = fake.callsOf('createForumTopic')[0]?.result.result?.message_thread_id;
+  const topicCopy = fake.getMessages(GROUP_ID).find((m) => m.message_thread_id === topicId && m.text === 'hello');
+  check('私聊消息转发到新 Topic', topicId && topicCopy);
+
+  // 3. Owner 在 Topic 回复 → 复制到用户私聊并保留引用
+  const answer = fake.topicMessage(GROUP_ID, topicId, OWNER, { text: 'hi there', replyTo: topicCopy?.message_id });
+  await replay(answer);
+  const pmCopy = fake.getMessages(USER.id).find((m) => m.text === 'hi there');
+  check('Topic 回复复制到私聊并带引用', pmCopy?.reply_to_message?.message_id === hello.message.message_id);
+
+  // 4. 用户对回复点 Reaction → 同步到 Topic
+  await replay(fake.reaction(USER.id, pmCopy?.message_id, USER, ['👍']));
+  const reacted = fake.getMessages(GROUP_ID).find((m) => m.message_id === answer.message.message_id);
+  check('用户 Reaction 同步到 Topic', reacted?.bot_reaction?.[0]?.emoji === '👍');
+
+  // 5. Owner #del → 删除用户侧消息
+  await replay(fake.topicMessage(GROUP_ID, topicId, OWNER, { text: '#del', replyTo: answer.message.message_id }));
+  check('Owner #del 删除私聊消息', !fake.getMessages(USER.id).some((m) => m.text === 'hi there'));
+
+  // 6. Owner /ban → 用户消息不再转发
+  await replay(fake.topicMessage(GROUP_ID, topicId, OWNER, { text: '/ban' }));
+  await replay(fake.privateMessage(USER, { text: 'still there?' }));
+  check('/ban 后私聊不再转发', !fake.getMessages(GROUP_ID).some((m) => m.text === 'still there?'));
+
+  // 7. Owner /doctor → 返回逐项自检结果
+  await replay(fake.privateMessage(OWNER, { text: '/doctor' }));
+  const report = fake.getMessages(OWNER.id).find((m) => m.text?.startsWith('🩺'));
+  check('/doctor 返回自检报告', report?.text.includes('✅ 群管理员权限') && report.text.includes('✅ 存储读写'));
+
+  // 8. Topic 被手动删除 → /reconcile 列出差异，确认后移除映射
+  await fake.fetch(`https://api.telegram.org/bot${BOT_TOKEN}/deleteForumTopic`, {
+    method: 'POST',
+    body: JSON.stringify({ chat_id: GROUP_ID, message_thread_id: topicId })
+  });
+  await replay(fake.privateMessage(OWNER, { text: '/reconcile' }));
+  const plan = fake.getMessages(OWNER.id).find((m) => m.text?.startsWith('🔍'));
+  const confirm = plan?.reply_markup?.inline_keyboard[0][0].callback_data;
+  if (confirm) await replay(fake.callbackQuery(OWNER.id, plan.message_id, OWNER, confirm));
+  const topics = await tenantStorage.get(`topics:${GROUP_ID}`, { type: 'json' });
+  check('/reconcile 确认后移除失效 Topic', plan?.text.includes(`Topic ${topicId}`) && topics?.topicToFromChat.length === 0);
+
+  // 9. /reset → 先发送备份文件，选择「清空存储」后解除绑定并删除数据
+  await replay(fake.privateMessage(OWNER, { text: '/reset' }));
+  const backup = fake.getMessages(OWNER.id).find((m) => m.document?.file_name.startsWith('fivegram-backup-'));
+  const prompt = fake.getMessages(OWNER.id).find((m) => m.text?.startsWith('⚠️ 即将重置'));
+  const wipe = prompt?.reply_markup?.inline_keyboard.flat().find((b) => b.callback_data.endsWith(':wipe'));
+  if (wipe) await replay(fake.callbackQuery(OWNER.id, prompt.message_id, OWNER, wipe.callback_data));
+  check('/reset 发送备份并清空存储', backup && !(await tenantStorage.get(`binding:${OWNER.id}`))
+    && !(await tenantStorage.get(`topics:${GROUP_ID}`)) && !(await tenantStorage.get(`profile:${GROUP_ID}:${USER.id}`)));
+
+  // 10. 回复备份文件 /import → 恢复绑定、Topic 映射与用户资料
+  await replay(fake.privateMessage(OWNER, { text: '/import', reply_to_message: backup }));
+  const restored = await tenantStorage.get(`topics:${GROUP_ID}`, { type: 'json' });
+  check('/import 从备份文件恢复', (await tenantStorage.get(`binding:${OWNER.id}`, { type: 'json' }))?.superGroupChatId === GROUP_ID
+    && restored?.superGroupChatId === GROUP_ID
+    && (await tenantStorage.get(`profile:${GROUP_ID}:${USER.id}`, { type: 'json' }))?.name === 'Alice');
+
+  // 11. Bot 失去管理权限 → 暂停转发并提示用户，恢复权限后自动恢复
+  await replay(fake.myChatMember(GROUP_ID, 'administrator', 'member'));
+  await replay(fake.privateMessage(USER, { text: 'anyone there?' }));
+  const pausedNotice = fake.getMessages(USER.id).some((m) => m.text?.startsWith('⏸'));
+  await replay(fake.myChatMember(GROUP_ID, 'member', 'administrator', { can_manage_topics: true }));
+  check('失去权限时暂停转发，恢复后通知用户', pausedNotice
+    && !fake.getMessages(GROUP_ID).some((m) => m.text === 'anyone there?')
+    && fake.getMessages(USER.id).some((m) => m.text?.startsWith('▶️')));
+
+  // 12. 相册各条消息同时到达 → 缓冲后 copyMessages 整组转发，逐条记录映射
+  const album = [1, 2, 3].map((n) => fake.privateMessage(ALBUM_USER, { media_group_id: 'album-1', photo: [{ file_id: `photo-${n}` }] }));
+  await Promise.all(album.map((message) => replay(message)));
+  const albumCopy = fake.callsOf('copyMessages').at(-1);
+  const albumTopicMessageId = albumCopy?.result.result?.[2]?.message_id;
+  check('相册整组转发并记录逐条映射', albumCopy?.body.message_ids.join(',') === album.map((u) => u.message.message_id).join(',')
+    && (await tenantStorage.get(`msg:topic:${GROUP_ID}:${albumTopicMessageId}`, { type: 'json' }))?.pmMessageId === album[2].message.message_id);
+
+  // 13. 用户更名 → 同步 Topic 名称，资料卡记录曾用名
+  await replay(fake.privateMessage({ ...ALBUM_USER, first_name: 'Robert' }, { text: 'new name' }));
+  const albumTopicId = albumCopy?.body.message_thread_id;
+  const renamedCard = fake.getMessages(GROUP_ID).find((m) => m.message_thread_id === albumTopicId && m.text?.includes('用户资料'));
+  check('用户更名同步 Topic 名称并记录曾用名', fake.chats.get(GROUP_ID).topics.get(albumTopicId)?.name.startsWith('Robert')
+    && renamedCard?.text.includes('姓名：Robert') && renamedCard.text.includes('曾用名'));
+
+  // 14. Owner 在 Topic 内设置备注名与备注 → Topic 改名，资料卡显示备注
+  const inAlbumTopic = (text) => fake.groupMessage(GROUP_ID, OWNER, { message_thread_id: albumTopicId, is_topic_message: true, text });
+  await replay(inAlbumTopic('/alias 大客户'), inAlbumTopic('/note 需要开发票'));
+  const notedCard = fake.getMessages(GROUP_ID).find((m) => m.message_id === renamedCard?.message_id);
+  // 重复设置相同的备注名时 Topic 名称不变，不调用 editForumTopic
+  const aliasRenames = fake.callsOf('editForumTopic').length;
+  await replay(inAlbumTopic('/alias 大客户'));
+  check('/alias /note 设置备注名与备注', fake.chats.get(GROUP_ID).topics.get(albumTopicId)?.name.startsWith('大客户 | Robert')
+    && notedCard?.text.includes('备注名：大客户') && notedCard.text.includes('需要开发票')
+    && !fake.getMessages(ALBUM_USER.id).some((m) => m.text?.includes('需要开发票'))
+    && fake.callsOf('editForumTopic').length === aliasRenames
+    && fake.getMessages(GROUP_ID).at(-1)?.text === '🏷 备注名已设置为：大客户');
+
+  // 15. 编辑说明文字、替换媒体 → 同步到另一侧；对应消息无法编辑时重新复制
+  await simulateEditSync(fake, replay, tenantStorage, check, albumTopicId);
+
+  // 16. 用户有用户名时 Topic 名称取用户名，只改姓名 → 提示更名，不调用 editForumTopic
+  await replay(fake.privateMessage({ ...ALBUM_USER, first_name: 'Robert', username: 'bob' }, { text: 'got a username' }));
+  const renamesBefore = fake.callsOf('editForumTopic').length;
+  await replay(fake.privateMessage({ ...ALBUM_USER, first_name: 'Bobby', username: 'bob' }, { text: 'new first name' }));
+  check('只改姓名时不重复重命名 Topic', fake.callsOf('editForumTopic').length === renamesBefore
+    && fake.callsOf('editForumTopic').every((call) => call.result.ok)
+    && fake.getMessages(GROUP_ID).some((m) => m.message_thread_id === albumTopicId && m.text === '✏️ 用户已更名：Robert @bob → Bobby @bob'));
+
+  // 17. 各历史版本的数据在首次加载时迁移到当前 Schema，重复执行与中断后重试结果一致
+  await simulateSchemaMigrations(fake, config, check);
+
+  // 18. 多个用户同时私聊 → 每个用户的 Topic 映射都保留
+  await simulateConcurrentWrites(fake, config, check);
+
+  // 19. 旧版 Webhook 地址 → 校验密钥后迁移到新地址
+  await simulateLegacyWebhook(fake, config, check);
+
+  return { results, calls: fake.calls };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  runSimulation().then(({ results, calls }) => {
+    for (const { name, passed } of results) console.log(`${passed ? '✅' : '❌'} ${name}`);
+    console.log(`共 ${calls.length} 次 API 调用`);
+    process.exit(results.every((r) => r.passed) ? 0 : 1);
+  }).catch((err) => {
+    console.error(err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,166 @@
+/**
+ * 自检
+ * - /health 路由与 Owner /doctor 命令共用
+ * - 逐项检查 Webhook、Bot 在超级群的管理员权限、存储读写与元数据一致性
+ * - 每项返回通过/失败及修复建议
+ */
+
+import { allowedUpdates, callTelegramApi } from './core.js';
+import { formatHumanTime } from './topicHandler.js';
+
+const WEBHOOK_ERROR_WINDOW = 60 * 60;  // 最近 1 小时内的投递错误视为异常
+const PENDING_UPDATE_THRESHOLD = 100;  // 积压超过该数量视为异常
+const REQUIRED_RIGHTS = [
+  ['can_manage_topics', '管理话题'],
+  ['can_delete_messages', '删除消息'],
+  ['can_pin_messages', '置顶消息']
+];
+
+function pass(name, detail) {
+  return { name, ok: true, detail, fix: null };
+}
+
+function fail(name, detail, fix) {
+  return { name, ok: false, detail, fix };
+}
+
+// 自检时不向 Owner 上报接口错误，结果会在报告中体现
+function diagnose(botToken, method, body) {
+  return callTelegramApi(botToken, method, body, { context: '自检' });
+}
+
+async function checkWebhook(botToken) {
+  const name = 'Webhook';
+  const resp = await diagnose(botToken, 'getWebhookInfo', {});
+  if (!resp.ok) return fail(name, `getWebhookInfo 失败：${resp.description}`, '检查 Bot Token 是否有效');
+
+  const info = resp.result;
+  if (!info.url) {
+    return fail(name, '未设置 Webhook', '调用 POST /{prefix}/install 注册 Webhook；长轮询模式可忽略此项');
+  }
+
+  const problems = [];
+  const now = Math.floor(Date.now() / 1000);
+  if (info.last_error_date && now - info.last_error_date < WEBHOOK_ERROR_WINDOW) {
+    problems.push(`最近投递错误（${formatHumanTime(info.last_error_date)}）：${info.last_error_message}`);
+  }
+  if (info.pending_update_count >= PENDING_UPDATE_THRESHOLD) {
+    problems.push(`积压 ${info.pending_update_count} 条 Update`);
+  }
+  const missing = allowedUpdates.filter((type) => info.allowed_updates && !info.allowed_updates.includes(type));
+  if (missing.length > 0) {
+    problems.push(`未订阅 ${missing.join(', ')}`);
+  }
+
+  const detail = `待处理 ${info.pending_update_count}${info.last_error_message ? `，最近错误：${info.last_error_message}` : ''}`;
+  if (problems.length === 0) return pass(name, detail);
+  return fail(name, problems.join('；'), '确认部署地址可访问后重新调用 /install');
+}
+
+async function checkAdminRights(botToken, superGroupChatId) {
+  const name = '群管理员权限';
+  if (!superGroupChatId) return fail(name, '尚未绑定超级群', '在超级群 General 话题发送 /init');
+
+  const me = await diagnose(botToken, 'getMe', {});
+  if (!me.ok) return fail(name, `getMe 失败：${me.description}`, '检查 Bot Token 是否有效');
+
+  const resp = await diagnose(botToken, 'getChatMember', { chat_id: superGroupChatId, user_id: me.result.id });
+  if (!resp.ok) {
+    return fail(name, `无法读取 Bot 在群 ${superGroupChatId} 的身份：${resp.description}`, '确认 Bot 仍在群内，必要时重新拉入并执行 /init');
+  }
+
+  const member = resp.result;
+  if (member.status === 'creator') return pass(name, 'Bot 为群主');
+  if (member.status !== 'administrator') {
+    return fail(name, `Bot 当前身份为 ${member.status}`, '将 Bot 设为管理员并授予管理话题、删除消息、置顶消息权限');
+  }
+  const missing = REQUIRED_RIGHTS.filter(([key]) => !member[key]).map(([, label]) => label);
+  if (missing.length > 0) return fail(name, `缺少权限：${missing.join('、')}`, '在群管理员设置中为 Bot 勾选缺少的权限');
+  return pass(name, REQUIRED_RIGHTS.map(([, label]) => label).join('、'));
+}
+
+/**
+ * 存储读写往返检查
+ */
+export async function checkStorage(storage) {
+  const name = '存储读写';
+  if (!storage) return fail(name, '未配置存储后端，元数据保存在置顶消息中', '绑定 KV / D1 或设置 STORAGE_BACKEND');
+
+  const key = `health:${crypto.randomUUID()}`;
+  const value = String(Date.now());
+  const startedAt = Date.now();
+  try {
+    await storage.put(key, value, { expirationTtl: 60 });
+    const read = await storage.get(key);
+    await storage.delete(key);
+    if (read !== value) return fail(name, '写入后读取的值不一致', '检查存储后端绑定是否正确');
+    if (!storage.writeVersioned) {
+      return fail(name, `往返 ${Date.now() - startedAt}ms，但不支持条件写入，并发写入 Topic 映射可能丢失`,
+        'KV 后端请绑定 METADATA_COORDINATOR（Durable Object，见 wrangler.toml.example），或改用 D1');
+    }
+    return pass(name, `往返 ${Date.now() - startedAt}ms`);
+  } catch (err) {
+    return fail(name, `读写异常：${err.message || err}`, '检查存储后端绑定与配额');
+  }
+}
+
+async function checkMetadata(botToken, repository) {
+  const name = '元数据一致性';
+  if (!repository.isInitialized()) return fail(name, '尚未初始化', '在超级群 General 话题发送 /init');
+
+  const { metaData } = repository;
+  const problems = [];
+  const chatResp = await diagnose(botToken, 'getChat', { chat_id: metaData.superGroupChatId });
+  if (!chatResp.ok) {
+    problems.push(`绑定的超级群 ${metaData.superGroupChatId} 不可访问：${chatResp.description}`);
+  } else if (!chatResp.result.is_forum) {
+    problems.push('绑定的群未开启话题功能');
+  }
+
+  for (const [topicId, fromChatId] of metaData.topicToFromChat) {
+    if (metaData.fromChatToTopic.get(fromChatId) !== topicId) {
+      problems.push(`Topic ${topicId} → 用户 ${fromChatId} 缺少反向映射`);
+    }
+  }
+  for (const [fromChatId, topicId] of metaData.fromChatToTopic) {
+    if (metaData.topicToFromChat.get(topicId) !== fromChatId) {
+      problems.push(`用户 ${fromChatId} → Topic ${topicId} 缺少正向映射`);
+    }
+  }
+  for (const topicKey of metaData.bannedTopics) {
+    if (!metaData.topicToFromChat.has(Number(topicKey))) {
+      problems.push(`拉黑列表中的 Topic ${topicKey} 没有映射`);
+    }
+  }
+
+  if (problems.length === 0) return pass(name, `${metaData.topicToFromChat.size} 个 Topic 映射`);
+  return fail(name, problems.slice(0, 10).join('；'), '确认超级群有效后执行 /reconcile 修复映射，必要时重新 /init');
+}
+
+/**
+ * 执行全部检查
+ * @param {object} options
+ * @param {string} options.botToken - Bot Token
+ * @param {object} options.repository - 元数据仓库
+ * @returns {Promise<{ok: boolean, checks: Array<{name: string, ok: boolean, detail: string, fix: string|null}>}>}
+ */
+export async function runDiagnostics({ botToken, repository }) {
+  const checks = [
+    await checkWebhook(botToken),
+    await checkAdminRights(botToken, repository.metaData.superGroupChatId),
+    await checkStorage(repository.storage),
+    await checkMetadata(botToken, repository)
+  ];
+  return { ok: checks.every((check) => check.ok), checks };
+}
+
+/**
+ * 将自检结果格式化为聊天文本
+ */
+export function formatDiagnostics({ ok, checks }) {
+  const lines = checks.map((check) => {
+    const line = `${check.ok ? '✅' : '❌'} ${check.name}：${check.detail}`;
+    return check.fix ? `${line}\n   建议：${check.fix}` : line;
+  });
+  return [`🩺 自检${ok ? '通过' : '发现问题'}`, ...lines].join('\n');
+}
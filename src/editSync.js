@@ -0,0 +1,67 @@
+/**
+ * 消息编辑同步
+ * - 文本：editMessageText
+ * - 图片 / 视频 / 文件 / 音频 / GIF：editMessageMedia 同时替换媒体与说明文字
+ * - 其余带说明文字的消息（如语音）：editMessageCaption
+ * - 目标消息无法编辑时由调用方重新复制并更新映射
+ */
+
+import { callTelegramApi } from './core.js';
+
+const REPLACEABLE_MEDIA_TYPES = ['photo', 'video', 'animation', 'document', 'audio'];
+const CAPTION_TYPES = [...REPLACEABLE_MEDIA_TYPES, 'voice'];
+
+/**
+ * 根据消息构造 editMessageMedia 所需的 InputMedia
+ * @returns {object|null} 不支持替换的消息类型返回 null
+ */
+export function buildInputMedia(message) {
+  const type = REPLACEABLE_MEDIA_TYPES.find((key) => message[key]);
+  if (!type) return null;
+  const source = message[type];
+  // photo 为不同尺寸的数组，取最大的一张
+  const fileId = Array.isArray(source) ? source[source.length - 1]?.file_id : source.file_id;
+  if (!fileId) return null;
+
+  const media = { type, media: fileId, caption: message.caption || '', caption_entities: message.caption_entities };
+  if (['photo', 'video', 'animation'].includes(type)) {
+    if (message.has_media_spoiler) media.has_spoiler = true;
+    if (message.show_caption_above_media) media.show_caption_above_media = true;
+  }
+  return media;
+}
+
+// 内容与目标消息一致，视为同步成功
+function isNotModified(resp) {
+  return resp.description?.includes('message is not modified');
+}
+
+/**
+ * 将编辑后的内容写入另一侧的对应消息
+ * - 失败在预期之内（由调用方兜底），不向 Owner 上报接口错误
+ * @returns {Promise<{ok: boolean, unsupported?: boolean, description?: string}>}
+ */
+export async function applyMessageEdit(botToken, editedMessage, chatId, messageId) {
+  const edit = (method, body) => callTelegramApi(botToken, method, { chat_id: chatId, message_id: messageId, ...body }, {
+    context: '编辑同步'
+  });
+
+  let resp = null;
+  if (editedMessage.text) {
+    resp = await edit('editMessageText', { text: editedMessage.text, entities: editedMessage.entities });
+  } else {
+    const media = buildInputMedia(editedMessage);
+    if (media) resp = await edit('editMessageMedia', { media });
+    // 媒体无法替换时至少同步说明文字
+    if (CAPTION_TYPES.some((key) => editedMessage[key]) && !resp?.ok && !(resp && isNotModified(resp))) {
+      resp = await edit('editMessageCaption', {
+        caption: editedMessage.caption || '',
+        caption_entities: editedMessage.caption_entities
+      });
+    }
+  }
+
+  if (!resp) return { ok: false, unsupported: true };
+  if (resp.ok || isNotModified(resp)) return { ok: true };
+  return { ok: false, description: resp.description };
+}
@@ -0,0 +1,97 @@
+/**
+ * /export 与 /import
+ * - 导出：生成导出文档并以 JSON 文件发送到 Owner 私聊
+ * - 导入：回复导出文件发送 /import，下载文件后恢复到当前绑定的超级群
+ */
+
+import { callTelegramApi, createInputFile, downloadTelegramFile } from './core.js';
+import { buildBackup, restoreBackup } from './backup.js';
+import { formatHumanTime } from './topicHandler.js';
+
+const MAX_BACKUP_FILE_SIZE = 20 * 1024 * 1024;  // getFile 可下载的文件上限
+
+/**
+ * 将当前元数据作为 JSON 文件发送到 Owner 私聊
+ */
+export async function sendBackupDocument(botToken, ownerUid, repository, caption) {
+  const backup = await buildBackup(repository);
+  const timestamp = formatHumanTime(backup.exportedAt).replace(/[-: ]/g, '');
+  return callTelegramApi(botToken, 'sendDocument', {
+    chat_id: ownerUid,
+    document: createInputFile(
+      `fivegram-backup-${backup.superGroupChatId}-${timestamp}.json`,
+      JSON.stringify(backup, null, 2),
+      'application/json'
+    ),
+    caption
+  }, { ownerUid, context: '发送备份文件' });
+}
+
+/**
+ * 下载并解析导出文件
+ * @throws {Error} 文件无法下载或不是 JSON 时抛出，message 可直接展示
+ */
+async function readBackupDocument(botToken, ownerUid, document) {
+  if (document.file_size > MAX_BACKUP_FILE_SIZE) throw new Error('文件超过 20MB，无法下载');
+  const fileResp = await callTelegramApi(botToken, 'getFile', { file_id: document.file_id }, { ownerUid, context: '读取导入文件' });
+  if (!fileResp.ok || !fileResp.result?.file_path) {
+    throw new Error(`获取文件失败：${fileResp.description || '未知错误'}`);
+  }
+  const resp = await downloadTelegramFile(botToken, fileResp.result.file_path);
+  if (!resp.ok) throw new Error(`下载文件失败：HTTP ${resp.status}`);
+  try {
+    return JSON.parse(await resp.text());
+  } catch {
+    throw new Error('文件不是有效的 JSON');
+  }
+}
+
+/**
+ * 导出元数据到 Owner 私聊
+ * @param {object} target - 结果提示的发送目标 { chat_id, message_thread_id? }
+ */
+export async function exportBackup(botToken, ownerUid, repository, target) {
+  const resp = await sendBackupDocument(botToken, ownerUid, repository, '📦 Fivegram 导出文件，回复此文件发送 /import 即可恢复');
+  if (resp.ok && String(target.chat_id) === String(ownerUid)) return;
+  await callTelegramApi(botToken, 'sendMessage', {
+    ...target,
+    text: resp.ok ? '📦 导出文件已发送到私聊。' : `❌ 导出失败：${resp.description}`
+  }, { ownerUid, context: '导出结果' });
+}
+
+/**
+ * 从回复的导出文件恢复元数据
+ * @param {object} message - /import 命令消息，须回复一个文件
+ */
+export async function importBackup(botToken, ownerUid, repository, message, target) {
+  const api = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const document = message.reply_to_message?.document;
+  if (!document) {
+    await api('sendMessage', { ...target, text: '⚠️ 请回复 /export 生成的导出文件发送 /import。' }, '导入提示');
+    return;
+  }
+
+  let text;
+  try {
+    const result = await restoreBackup(botToken, ownerUid, repository, await readBackupDocument(botToken, ownerUid, document));
+    text = [
+      `✅ 已导入到超级群 ${result.superGroupChatId}`,
+      `Topic 映射：${result.topicCount}`,
+      `消息映射：${result.messageCount}`,
+      `用户资料：${result.profileCount}`
+    ];
+    if (result.remapped) {
+      text.push('超级群已变化：已在当前群重新创建 Topic，历史消息映射未导入');
+    }
+    if (result.failedTopics > 0) {
+      text.push(`创建失败的 Topic：${result.failedTopics}`);
+    }
+    if (result.pendingTopics > 0) {
+      text.push(`尚有 ${result.pendingTopics} 个 Topic 未创建，请再次回复同一文件发送 /import 继续`);
+    }
+    text = text.join('\n');
+  } catch (err) {
+    text = `❌ 导入失败：${err.message || err}`;
+  }
+  await api('sendMessage', { ...target, text }, '导入结果');
+}
@@ -0,0 +1,132 @@
+/**
+ * 超级群状态事件
+ * - 群组迁移（migrate_to_chat_id / migrate_from_chat_id）：存储数据转移到新的群 ID 并重新绑定
+ * - Bot 被移出或失去管理权限（my_chat_member）：暂停转发，仅通知 Owner 一次；用户发消息时提示暂停
+ * - 暂停状态保存在 `delivery:paused`，恢复权限后自动解除并通知收到暂停提示的用户
+ */
+
+import { callTelegramApi } from './core.js';
+import { invalidateAdminCache } from './adminCache.js';
+
+const PAUSE_KEY = 'delivery:paused';
+const PAUSE_NOTICE_PREFIX = 'delivery:notice:';
+const PAUSE_NOTICE_TTL = 60 * 60 * 24 * 30;  // 暂停提示记录保留 30 天
+
+/**
+ * 根据 Bot 在超级群中的成员状态判断是否需要暂停
+ * @returns {string|null} 暂停原因，权限正常时为 null
+ */
+function getPauseReason(member) {
+  switch (member?.status) {
+    case 'creator':
+      return null;
+    case 'administrator':
+      return member.can_manage_topics ? null : 'Bot 缺少管理 Topic 权限';
+    case 'left':
+    case 'kicked':
+      return 'Bot 已被移出超级群';
+    default:
+      return 'Bot 已不是超级群管理员';
+  }
+}
+
+/**
+ * 读取当前绑定超级群的暂停状态
+ * @returns {Promise<{superGroupChatId: number, reason: string, since: number}|null>}
+ */
+export async function getDeliveryPause(storage, superGroupChatId) {
+  if (!storage || !superGroupChatId) return null;
+  const pause = await storage.get(PAUSE_KEY, { type: 'json' });
+  return pause?.superGroupChatId === superGroupChatId ? pause : null;
+}
+
+// 解除暂停，并通知暂停期间收到提示的用户
+async function resumeDelivery(botToken, storage, pause) {
+  await storage.delete(PAUSE_KEY);
+  const prefix = `${PAUSE_NOTICE_PREFIX}${pause.since}:`;
+  // 先列出全部分页再逐个通知，避免边删除边翻页
+  const keys = [];
+  let cursor;
+  do {
+    const page = await storage.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  for (const key of keys) {
+    await callTelegramApi(botToken, 'sendMessage', {
+      chat_id: key.name.slice(prefix.length),
+      text: '▶️ 消息投递已恢复，可以重新发送之前未送达的消息。'
+    }, { context: '恢复投递通知' });
+    await storage.delete(key.name);
+  }
+  return keys.length;
+}
+
+/**
+ * 处理 Bot 自身在超级群中的成员状态变化
+ */
+export async function processMyChatMember(botToken, ownerUid, myChatMember, repository) {
+  const { metaData, storage } = repository;
+  const chatId = myChatMember.chat?.id;
+  if (!chatId || chatId !== metaData.superGroupChatId) return;
+  await invalidateAdminCache(storage, chatId);
+
+  const reason = getPauseReason(myChatMember.new_chat_member);
+  const notifyOwner = (text) => callTelegramApi(botToken, 'sendMessage', { chat_id: ownerUid, text }, { context: '超级群状态通知' });
+  if (!storage) {
+    // 无存储后端时无法记录暂停状态，仅提醒 Owner
+    if (reason) await notifyOwner(`⚠️ ${reason}（超级群 ${chatId}），消息将无法转发，请恢复 Bot 的管理员权限。`);
+    return;
+  }
+
+  const pause = await getDeliveryPause(storage, chatId);
+  if (reason) {
+    if (pause) return;  // 已暂停并通知过
+    await storage.put(PAUSE_KEY, JSON.stringify({ superGroupChatId: chatId, reason, since: Math.floor(Date.now() / 1000) }));
+    await notifyOwner([
+      `⏸ ${reason}（超级群 ${chatId}），已暂停转发。`,
+      '用户发送消息时会收到暂停提示；恢复 Bot 的管理员权限（含管理 Topic）后自动恢复。'
+    ].join('\n'));
+  } else if (pause) {
+    const notified = await resumeDelivery(botToken, storage, pause);
+    await notifyOwner(`▶️ Bot 权限已恢复，转发已恢复。已通知 ${notified} 位暂停期间发来消息的用户。`);
+  }
+}
+
+/**
+ * 暂停期间提示用户消息未送达，每位用户只提示一次
+ */
+export async function notifyDeliveryPaused(botToken, ownerUid, storage, pause, message) {
+  const key = `${PAUSE_NOTICE_PREFIX}${pause.since}:${message.chat.id}`;
+  if (await storage.get(key)) return;
+  await storage.put(key, '1', { expirationTtl: PAUSE_NOTICE_TTL });
+  await callTelegramApi(botToken, 'sendMessage', {
+    chat_id: message.chat.id,
+    text: '⏸ 消息投递已暂停，本条消息未送达。恢复后会通知你，届时请重新发送。'
+  }, { ownerUid, context: '暂停投递提示' });
+}
+
+/**
+ * 处理群组迁移的服务消息
+ * - 旧群收到 migrate_to_chat_id，新群收到 migrate_from_chat_id，两条消息都可能到达，重复处理无副作用
+ * @returns {Promise<boolean>} 是否为迁移消息
+ */
+export async function handleChatMigration(botToken, ownerUid, message, repository) {
+  const fromChatId = message.migrate_to_chat_id ? message.chat.id : message.migrate_from_chat_id;
+  const toChatId = message.migrate_to_chat_id || message.chat.id;
+  if (!fromChatId) return false;
+  if (repository.metaData.superGroupChatId !== fromChatId) return true;
+
+  const { storage } = repository;
+  const moved = await repository.rebind(toChatId);
+  await invalidateAdminCache(storage, fromChatId);
+  // 迁移后 Bot 在新群中保留原有权限，旧群的暂停状态随之解除
+  const pause = await getDeliveryPause(storage, fromChatId);
+  if (pause) await resumeDelivery(botToken, storage, pause);
+
+  await callTelegramApi(botToken, 'sendMessage', {
+    chat_id: ownerUid,
+    text: `🔀 超级群已迁移：${fromChatId} → ${toChatId}，已重新绑定并转移 ${moved} 条消息映射。`
+  }, { ownerUid, context: '群组迁移通知' });
+  return true;
+}
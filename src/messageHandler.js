@@ -3,26 +3,35 @@
  * 负责 Webhook 收到的所有 Update 处理
  */
 
-import { setKvStore } from './kvConfig.js';
-import {
-  ensureMetadata,
-  loadMetadata,
-  findPmMessageId,
-  findTopicMessageId,
-  parseMetaDataMessage,
-  parseMetadataText,
-  updateMapping
-} from './metadataManager.js';
+import { loadMetadataRepository } from './metadataRepository.js';
 import { callTelegramApi } from './core.js';
 import {
   changeBanStatus,
   forwardPrivateToTopic,
+  formatHumanTime,
   forwardTopicToPrivate,
   isServiceMessage
 } from './topicHandler.js';
 import { banTopic, isTopicBanned, unbanTopic } from './banManager.js';
 import { processMessageReaction } from './reactionHandler.js';
 import { notifyMessageDeleted, notifyMessageEdited } from './deliveryStatus.js';
+import { claimUpdate } from './updateDedup.js';
+import { collectStatus } from './statusReport.js';
+import { formatDiagnostics, runDiagnostics } from './diagnostics.js';
+import { CANCEL_CHOICE, parseConfirmationData, takeConfirmation } from './confirmations.js';
+import { performReset, requestReset } from './resetManager.js';
+import { exportBackup, importBackup } from './exportManager.js';
+import { applyMessageEdit } from './editSync.js';
+import { getDeliveryPause, handleChatMigration, notifyDeliveryPaused, processMyChatMember } from './groupEvents.js';
+import { handleNoteCommand, NOTE_COMMANDS } from './userNotes.js';
+import {
+  applyReconcilePlan,
+  findReconcileIssues,
+  formatReconcilePlan,
+  formatReconcileResult,
+  sendReconcilePlan
+} from './reconcile.js';
+import { isSupergroupAdmin, processChatMemberUpdate } from './adminCache.js';
 
 const HELP_TEXT = 'Fivegram 已启动。发送 /init 于绑定的超级群组以初始化元数据。';
 
@@ -40,8 +49,10 @@ function buildStartText(message, ownerUid) {
       '👋 欢迎回来，Owner！',
       '· 在绑定的超级群发送 /init 初始化或用 /status 查看映射',
       '· 私聊/话题内 #del 可删除对应消息，/ban /unban 仅在话题生效',
-      '· /reset 可重新置顶元数据，支持 Fivegram 管理命令',
-      '· 支持回复引用同步，多平台（CF/Vercel/Deno/Netlify）均可部署'
+      '· 话题内 /alias 设置备注名，/note 添加备注，/notes 查看备注',
+      '· /export 导出全部数据为文件，回复该文件发送 /import 可恢复或迁移到新群',
+      '· /reset 解除绑定或清空数据，执行前会发送备份并要求按钮确认',
+      '· 支持回复引用同步，可部署在 Cloudflare Workers 或 Node.js 服务器'
     ].join('\n');
   }
 
@@ -49,7 +60,7 @@ function buildStartText(message, ownerUid) {
     return [
       'This is Fivegram 控制台提示：',
       '· 在此群执行 /init 完成绑定，/status 查看当前配置',
-      '· 进入对应话题可用 /ban /unban 或 #del 做清理',
+      '· 进入对应话题可用 /ban /unban 或 #del 做清理，/alias /note 记录用户备注',
       '· 确保机器人具备 can_delete_messages 与论坛权限'
     ].join('\n');
   }
@@ -87,39 +98,64 @@ async function handleStartCommand(botToken, ownerUid, message) {
   await api('sendMessage', payload);
 }
 
-export async function handleUpdate(update, ctx) {
-  const { ownerUid, botToken, messageMapping } = ctx;
+/**
+ * 处理单个 Update
+ * @param {object} update - Telegram Update
+ * @param {object} context - Bot 上下文（createBotContext），包含 Token、Owner 与租户存储
+ * @param {object} [ctx] - 运行时上下文，提供 waitUntil 时用于等待缓冲的相册转发完成
+ */
+export async function handleUpdate(update, context, ctx) {
+  const { ownerUid, botToken, storage } = context;
+  const forwardOptions = { waitUntil: ctx?.waitUntil ? (promise) => ctx.waitUntil(promise) : undefined };
 
-  // 设置全局 KV 存储绑定
-  if (messageMapping) {
-    setKvStore(messageMapping);
+  // 重复投递的 Update 直接确认，避免重复转发
+  if (!await claimUpdate(storage, botToken, update.update_id)) {
+    console.log('Skip duplicate update', update.update_id);
+    return new Response('OK');
+  }
+
+  // 成员身份变化：仅刷新管理员缓存
+  if (update.chat_member) {
+    await processChatMemberUpdate(storage, update.chat_member);
+    return new Response('OK');
   }
 
   const api = createApiCaller(botToken, ownerUid);
+  // 每个 Update 只加载一次元数据，后续模块共享同一仓库
+  const repository = await loadMetadataRepository(context);
+  const { metaData } = repository;
+
+  // Bot 自身在超级群中的权限变化
+  if (update.my_chat_member) {
+    await processMyChatMember(botToken, ownerUid, update.my_chat_member, repository);
+    return new Response('OK');
+  }
+
+  // Inline 按钮回调（确认操作）
+  if (update.callback_query) {
+    await handleCallbackQuery(botToken, ownerUid, update.callback_query, repository);
+    return new Response('OK');
+  }
 
   // Emoji Reaction 更新
   if (update.message_reaction) {
-    const metaMessage = await loadMetadata(botToken, ownerUid);
-    if (!metaMessage) return new Response('OK');
-    const metaData = parseMetaDataMessage(metaMessage);
+    if (!repository.isInitialized()) return new Response('OK');
     // 兜底填充超级群 ID，避免初始化异常导致 reaction 处理失败
     if (!metaData.superGroupChatId && update.message_reaction.chat?.type === 'supergroup') {
       metaData.superGroupChatId = update.message_reaction.chat.id;
     }
-    await processMessageReaction(botToken, ownerUid, update.message_reaction, metaData);
+    await processMessageReaction(botToken, ownerUid, update.message_reaction, repository);
     return new Response('OK');
   }
 
   // 编辑消息处理
   if (update.edited_message) {
-    const metaMessage = await loadMetadata(botToken, ownerUid);
-    if (!metaMessage) return new Response('OK');
-    const metaData = parseMetaDataMessage(metaMessage);
+    if (!repository.isInitialized()) return new Response('OK');
     // 部分场景（如未初始化）尝试从更新中兜底填充超级群 ID
     if (!metaData.superGroupChatId && update.edited_message.chat?.type === 'supergroup') {
       metaData.superGroupChatId = update.edited_message.chat.id;
     }
-    await processEditedMessage(botToken, ownerUid, update.edited_message, metaData, metaMessage);
+    await processEditedMessage(botToken, ownerUid, update.edited_message, repository);
     return new Response('OK');
   }
 
@@ -128,45 +164,73 @@ export async function handleUpdate(update, ctx) {
 
   const chat = message.chat;
 
+  // 群组升级迁移：数据转移到新的群 ID
+  if (await handleChatMigration(botToken, ownerUid, message, repository)) {
+    return new Response('OK');
+  }
+
   if (message.text?.startsWith('/start')) {
     await handleStartCommand(botToken, ownerUid, message);
     return new Response('OK');
   }
 
   if (message.text?.startsWith('/status')) {
-    await handleStatus(botToken, ownerUid, message);
+    await handleStatus(botToken, ownerUid, message, repository);
+    return new Response('OK');
+  }
+
+  if (message.text?.startsWith('/doctor')) {
+    await handleDoctor(botToken, ownerUid, message, repository);
+    return new Response('OK');
+  }
+
+  if (message.text?.split(' ')[0] === '/export') {
+    await handleExport(botToken, ownerUid, message, repository);
+    return new Response('OK');
+  }
+
+  if (message.text?.split(' ')[0] === '/import') {
+    await handleImport(botToken, ownerUid, message, repository);
+    return new Response('OK');
+  }
+
+  if (message.text?.split(' ')[0] === '/reset') {
+    await handleReset(botToken, ownerUid, message, repository);
+    return new Response('OK');
+  }
+
+  if (message.text?.startsWith('/reconcile')) {
+    await handleReconcile(botToken, ownerUid, message, repository);
     return new Response('OK');
   }
 
   // 先检查是否为 #del 命令，必须通过回复触发
   if (message.reply_to_message && message.text?.trim() === '#del') {
-    const metaMessage = await loadMetadata(botToken, ownerUid);
-    const metaData = parseMetaDataMessage(metaMessage);
     // 兜底超级群 ID，避免未初始化导致删除逻辑无法执行
     if (!metaData.superGroupChatId && chat.type === 'supergroup') {
       metaData.superGroupChatId = chat.id;
     }
-    const isDeleteCommand = await handleMessageDelete(botToken, ownerUid, message, metaData, metaMessage);
+    const isDeleteCommand = await handleMessageDelete(botToken, ownerUid, message, repository);
     if (isDeleteCommand) return new Response('OK');
   }
 
-  if (await handleBanCommands(botToken, ownerUid, message)) {
+  if (await handleBanCommands(botToken, ownerUid, message, repository)) {
     return new Response('OK');
   }
 
   // 超级群组维度的公共指令（如 /init）
-  if (chat.type === 'supergroup' && await handleGroupWideCommands(botToken, ownerUid, message)) {
+  if (chat.type === 'supergroup' && await handleGroupWideCommands(botToken, ownerUid, message, repository)) {
     return new Response('OK');
   }
 
   // 私聊：用户侧入口
   if (chat.type === 'private') {
-    return handlePrivateChat(botToken, ownerUid, message);
+    return handlePrivateChat(botToken, ownerUid, message, repository, forwardOptions);
   }
 
   // 超级群组且包含话题
   if (chat.type === 'supergroup' && message.is_topic_message) {
-    return handleTopicMessage(botToken, ownerUid, message);
+    return handleTopicMessage(botToken, ownerUid, message, repository, forwardOptions);
   }
 
   // 其他情况：简单指令或忽略
@@ -182,20 +246,21 @@ export async function handleUpdate(update, ctx) {
 /**
  * 处理编辑过的消息
  * - 区分 Owner 在超级群话题内的编辑，和用户在私聊中的编辑
- * - 仅支持文本消息编辑，媒体编辑暂未实现
+ * - 支持文本、说明文字与媒体替换（见 editSync.js）
  */
-async function processEditedMessage(botToken, ownerUid, editedMessage, metaData, metaMessage) {
+async function processEditedMessage(botToken, ownerUid, editedMessage, repository) {
+  const { metaData } = repository;
   const fromChat = editedMessage.chat;
   const fromUser = editedMessage.from;
 
   // Owner 在超级群话题内编辑消息，需同步到用户
   if (fromUser?.id?.toString() === ownerUid?.toString() && fromChat.id === metaData.superGroupChatId && fromChat.is_forum) {
-    await processOwnerMessageEdit(botToken, ownerUid, editedMessage, metaData);
+    await processOwnerMessageEdit(botToken, ownerUid, editedMessage, repository);
     return;
   }
 
   // 用户在私聊编辑消息，需同步到对应话题
-  await processUserMessageEdit(botToken, ownerUid, editedMessage, metaData, metaMessage);
+  await processUserMessageEdit(botToken, ownerUid, editedMessage, repository);
 }
 
 /**
@@ -203,8 +268,9 @@ async function processEditedMessage(botToken, ownerUid, editedMessage, metaData,
  * - 必须通过回复触发，且文本为 #del
  * - 根据执行人（owner/用户）分流到不同删除逻辑
  */
-async function handleMessageDelete(botToken, ownerUid, message, metaData, metaMessage) {
+async function handleMessageDelete(botToken, ownerUid, message, repository) {
   const api = createApiCaller(botToken, ownerUid, '删除命令');
+  const { metaData } = repository;
   const reply = message.reply_to_message;
   if (!reply) return false; // 必须回复消息
 
@@ -227,10 +293,10 @@ async function handleMessageDelete(botToken, ownerUid, message, metaData, metaMe
   // 判断是 owner 还是用户删除
   if (fromUser?.id?.toString() === ownerUid?.toString() && fromChat.id === metaData.superGroupChatId && fromChat.is_forum) {
     // Owner 删除：删除用户侧消息 + 自动清理 supergroup 的 3 条消息
-    await processOwnerMessageDelete(botToken, ownerUid, message, reply, metaData, metaMessage);
+    await processOwnerMessageDelete(botToken, ownerUid, message, reply, repository);
   } else {
     // 用户删除：删除 supergroup 的消息 + 提示用户手动删除
-    await processUserMessageDelete(botToken, ownerUid, message, reply, metaData, metaMessage);
+    await processUserMessageDelete(botToken, ownerUid, message, reply, repository);
   }
 
   return true; // 已处理
@@ -241,8 +307,9 @@ async function handleMessageDelete(botToken, ownerUid, message, metaData, metaMe
  * - 仅删除超级群侧的同步消息
  * - 映射缺失时友好提示
  */
-async function processUserMessageDelete(botToken, ownerUid, message, reply, metaData) {
+async function processUserMessageDelete(botToken, ownerUid, message, reply, repository) {
   const api = createApiCaller(botToken, ownerUid, '用户删除');
+  const { metaData } = repository;
   const commandMessageId = message.message_id;
   const originMessageId = reply.message_id;
   const fromChatId = message.chat.id;
@@ -258,11 +325,7 @@ async function processUserMessageDelete(botToken, ownerUid, message, reply, meta
   }
 
   // 从映射查找对应的 topic 消息 ID
-  const { topicMessageId: targetMessageId } = await findTopicMessageId(
-    botToken,
-    metaData.superGroupChatId,
-    originMessageId
-  );
+  const { topicMessageId: targetMessageId } = await repository.findTopicMessageId(originMessageId);
 
   if (!targetMessageId) {
     await api('sendMessage', {
@@ -302,8 +365,9 @@ async function processUserMessageDelete(botToken, ownerUid, message, reply, meta
  * - 先删除用户私聊的对应消息
  * - 再自动清理超级群中的 origin/command/notify 三条消息
  */
-async function processOwnerMessageDelete(botToken, ownerUid, message, reply, metaData) {
+async function processOwnerMessageDelete(botToken, ownerUid, message, reply, repository) {
   const api = createApiCaller(botToken, ownerUid, 'Owner 删除');
+  const { metaData } = repository;
   const commandMessageId = message.message_id;
   const topicId = message.message_thread_id;
   const deleteOriginMessageId = reply.message_id;
@@ -319,11 +383,7 @@ async function processOwnerMessageDelete(botToken, ownerUid, message, reply, met
   }
 
   // 从映射查找对应的 pm 消息 ID
-  const { pmMessageId: deleteTargetMessageId } = await findPmMessageId(
-    botToken,
-    metaData.superGroupChatId,
-    deleteOriginMessageId
-  );
+  const { pmMessageId: deleteTargetMessageId } = await repository.findPmMessageId(deleteOriginMessageId);
 
   if (!deleteTargetMessageId) {
     await api('sendMessage', {
@@ -368,7 +428,7 @@ async function processOwnerMessageDelete(botToken, ownerUid, message, reply, met
   });
 }
 
-async function handlePrivateChat(botToken, ownerUid, message) {
+async function handlePrivateChat(botToken, ownerUid, message, repository, forwardOptions) {
   const api = createApiCaller(botToken, ownerUid, '私聊入口');
 
   // 忽略来自 bot 自己的消息
@@ -384,8 +444,7 @@ async function handlePrivateChat(botToken, ownerUid, message) {
     return new Response('OK');
   }
 
-  const metaMessage = await loadMetadata(botToken, ownerUid);
-  if (!metaMessage) {
+  if (!repository.isInitialized()) {
     await api('sendMessage', {
       chat_id: message.chat.id,
       text: '尚未初始化，请先在超级群组中发送 /init 指令。'
@@ -393,7 +452,7 @@ async function handlePrivateChat(botToken, ownerUid, message) {
     return new Response('OK');
   }
 
-  const metaData = parseMetaDataMessage(metaMessage);
+  const { metaData } = repository;
   if (!metaData.superGroupChatId) {
     await api('sendMessage', {
       chat_id: message.chat.id,
@@ -402,8 +461,15 @@ async function handlePrivateChat(botToken, ownerUid, message) {
     return new Response('OK');
   }
 
+  // Bot 失去超级群权限时暂停转发，避免每条消息都失败
+  const pause = await getDeliveryPause(repository.storage, metaData.superGroupChatId);
+  if (pause) {
+    await notifyDeliveryPaused(botToken, ownerUid, repository.storage, pause, message);
+    return new Response('OK');
+  }
+
   // 检查是否是 Supergroup 管理员
-  const isAdmin = await isSupergroupAdmin(botToken, metaData.superGroupChatId, message.from?.id);
+  const isAdmin = await isSupergroupAdmin(repository.storage, botToken, metaData.superGroupChatId, message.from?.id);
   if (isAdmin) {
     await api('sendMessage', {
       chat_id: message.chat.id,
@@ -412,10 +478,10 @@ async function handlePrivateChat(botToken, ownerUid, message) {
     return new Response('OK');
   }
 
-  return forwardPrivateToTopic(botToken, ownerUid, metaData, metaMessage, message);
+  return forwardPrivateToTopic(botToken, ownerUid, repository, message, forwardOptions);
 }
 
-async function handleBanCommands(botToken, ownerUid, message) {
+async function handleBanCommands(botToken, ownerUid, message, repository) {
   const api = createApiCaller(botToken, ownerUid, 'Ban 命令');
   if (!message.text) return false;
 
@@ -447,8 +513,7 @@ async function handleBanCommands(botToken, ownerUid, message) {
     return true;
   }
 
-  const metaMessage = await loadMetadata(botToken, ownerUid);
-  if (!metaMessage?.text) {
+  if (!repository.isInitialized()) {
     await api('sendMessage', {
       chat_id: message.chat.id,
       message_thread_id: message.message_thread_id,
@@ -457,7 +522,7 @@ async function handleBanCommands(botToken, ownerUid, message) {
     return true;
   }
 
-  const metaData = parseMetaDataMessage(metaMessage);
+  const { metaData } = repository;
   metaData.superGroupChatId = metaData.superGroupChatId || message.chat.id;
   if (metaData.superGroupChatId !== message.chat.id) {
     await api('sendMessage', {
@@ -469,9 +534,9 @@ async function handleBanCommands(botToken, ownerUid, message) {
   }
   try {
     if (config.action === 'ban') {
-      await banTopic(botToken, ownerUid, message, metaData, metaMessage, config.silent);
+      await banTopic(botToken, ownerUid, message, repository, config.silent);
     } else {
-      await unbanTopic(botToken, ownerUid, message, metaData, metaMessage, config.silent);
+      await unbanTopic(botToken, ownerUid, message, repository, config.silent);
     }
   } catch (err) {
     await api('sendMessage', {
@@ -487,8 +552,9 @@ async function handleBanCommands(botToken, ownerUid, message) {
 /**
  * 用户编辑私聊消息 → 同步到超级群话题
  */
-async function processUserMessageEdit(botToken, ownerUid, editedMessage, metaData) {
+async function processUserMessageEdit(botToken, ownerUid, editedMessage, repository) {
   const api = createApiCaller(botToken, ownerUid, '用户编辑同步');
+  const { metaData } = repository;
   if (!metaData.superGroupChatId) return;
   const fromChatId = editedMessage.chat.id;
   const topicId = metaData.fromChatToTopic.get(fromChatId);
@@ -496,54 +562,43 @@ async function processUserMessageEdit(botToken, ownerUid, editedMessage, metaDat
   if (isTopicBanned(metaData, topicId)) return;
 
   // 根据私聊消息 ID 查找对应的 Topic 消息 ID
-  const { topicId: mappingTopicId, topicMessageId } = await findTopicMessageId(
-    botToken,
-    metaData.superGroupChatId,
-    editedMessage.message_id
-  );
+  const { topicId: mappingTopicId, topicMessageId } = await repository.findTopicMessageId(editedMessage.message_id);
   const targetTopicId = mappingTopicId || topicId;
 
   // 映射不存在时，重新复制一条消息并提示
   if (!topicMessageId) {
-    await sendNewMessageWithEditHint(botToken, ownerUid, metaData.superGroupChatId, targetTopicId, editedMessage);
+    await sendNewMessageWithEditHint(botToken, ownerUid, repository, targetTopicId, editedMessage);
     return;
   }
 
-  // 仅支持文本消息的编辑同步
-  if (editedMessage.text) {
-    const editResp = await api('editMessageText', {
-      chat_id: metaData.superGroupChatId,
-      message_id: topicMessageId,
-      text: editedMessage.text,
-      entities: editedMessage.entities
-    });
-
-    if (editResp.ok) {
-      await notifyMessageEdited(botToken, fromChatId, editedMessage.message_id);
-    } else if (editResp.description?.includes("can't be edited")) {
-      await sendNewMessageWithEditHint(botToken, ownerUid, metaData.superGroupChatId, targetTopicId, editedMessage);
-    }
-  } else {
+  const result = await applyMessageEdit(botToken, editedMessage, metaData.superGroupChatId, topicMessageId);
+  if (result.ok) {
+    await notifyMessageEdited(botToken, fromChatId, editedMessage.message_id);
+  } else if (result.unsupported) {
     await api('sendMessage', {
       chat_id: metaData.superGroupChatId,
       message_thread_id: targetTopicId,
-      text: '⚠️ 仅支持文本消息编辑，媒体消息编辑功能待实现'
+      reply_to_message_id: topicMessageId,
+      text: '⚠️ 用户编辑了此消息，该类型消息的编辑暂不支持同步'
     });
+  } else {
+    await sendNewMessageWithEditHint(botToken, ownerUid, repository, targetTopicId, editedMessage);
   }
 }
 
 /**
  * Owner 在话题内编辑消息 → 同步到对应用户的私聊消息
  */
-async function processOwnerMessageEdit(botToken, ownerUid, editedMessage, metaData) {
+async function processOwnerMessageEdit(botToken, ownerUid, editedMessage, repository) {
   const api = createApiCaller(botToken, ownerUid, 'Owner 编辑同步');
+  const { metaData } = repository;
   if (!metaData.superGroupChatId) return;
   const topicId = editedMessage.message_thread_id;
   const pmChatId = metaData.topicToFromChat.get(topicId);
   if (!pmChatId) return;
 
   // 查找对应的私聊消息 ID
-  const { pmMessageId } = await findPmMessageId(botToken, metaData.superGroupChatId, editedMessage.message_id);
+  const { pmMessageId } = await repository.findPmMessageId(editedMessage.message_id);
   if (!pmMessageId) {
     await api('sendMessage', {
       chat_id: metaData.superGroupChatId,
@@ -553,86 +608,79 @@ async function processOwnerMessageEdit(botToken, ownerUid, editedMessage, metaDa
     return;
   }
 
-  // 同步文本编辑
-  if (editedMessage.text) {
-    const editResp = await api('editMessageText', {
-      chat_id: pmChatId,
-      message_id: pmMessageId,
-      text: editedMessage.text,
-      entities: editedMessage.entities
-    });
-
-    if (editResp.ok) {
-      await notifyMessageEdited(botToken, metaData.superGroupChatId, editedMessage.message_id);
-    } else if (editResp.description?.includes("can't be edited")) {
-      const resendResp = await api('sendMessage', {
-        chat_id: pmChatId,
-        text: editedMessage.text,
-        entities: editedMessage.entities
-      }, '重新发送编辑消息');
-
-      if (resendResp.ok) {
-        await api('sendMessage', {
-          chat_id: metaData.superGroupChatId,
-          message_thread_id: topicId,
-          text: '⬆️⬆️⬆️ 消息过旧，已重新发送最新内容到用户私聊'
-        });
-      }
-    } else {
-      await api('sendMessage', {
-        chat_id: metaData.superGroupChatId,
-        message_thread_id: topicId,
-        text: `编辑失败: ${editResp.description}`
-      });
-    }
-  } else {
+  const result = await applyMessageEdit(botToken, editedMessage, pmChatId, pmMessageId);
+  if (result.ok) {
+    await notifyMessageEdited(botToken, metaData.superGroupChatId, editedMessage.message_id);
+    return;
+  }
+  if (result.unsupported) {
     await api('sendMessage', {
       chat_id: metaData.superGroupChatId,
       message_thread_id: topicId,
-      text: '⚠️ 仅支持文本消息编辑'
+      text: '⚠️ 该类型消息的编辑暂不支持同步'
     });
+    return;
   }
+
+  // 私聊消息无法编辑：重新复制最新内容，并让映射指向新消息
+  const resendResp = await api('copyMessage', {
+    chat_id: pmChatId,
+    from_chat_id: metaData.superGroupChatId,
+    message_id: editedMessage.message_id
+  }, '重新发送编辑消息');
+  if (resendResp.ok) {
+    await repository.addMessageMapping(topicId, editedMessage.message_id, resendResp.result.message_id);
+  }
+  await api('sendMessage', {
+    chat_id: metaData.superGroupChatId,
+    message_thread_id: topicId,
+    text: resendResp.ok
+      ? '⬆️⬆️⬆️ 原消息无法编辑，已重新发送最新内容到用户私聊'
+      : `编辑失败: ${result.description}`
+  });
 }
 
 /**
- * 当原消息无法编辑时，复制一条新消息并提示
+ * 当原消息无法编辑时，复制一条新消息并提示，映射改为指向新消息
  */
-async function sendNewMessageWithEditHint(botToken, ownerUid, superGroupChatId, topicId, editedMessage) {
+async function sendNewMessageWithEditHint(botToken, ownerUid, repository, topicId, editedMessage) {
   const api = createApiCaller(botToken, ownerUid, '编辑兜底');
-  await api('copyMessage', {
+  const superGroupChatId = repository.metaData.superGroupChatId;
+  const copyResp = await api('copyMessage', {
     chat_id: superGroupChatId,
     from_chat_id: editedMessage.chat.id,
     message_id: editedMessage.message_id,
     message_thread_id: topicId
   });
+  if (!copyResp.ok) return;
+  await repository.addMessageMapping(topicId, copyResp.result.message_id, editedMessage.message_id);
 
   await api('sendMessage', {
     chat_id: superGroupChatId,
     message_thread_id: topicId,
-    text: '⬆️⬆️⬆️ 消息已编辑（原消息太旧或无法编辑，已重新发送）',
-    parse_mode: 'MarkdownV2'
+    reply_to_message_id: copyResp.result.message_id,
+    text: '⬆️ 消息已编辑（原消息太旧或无法编辑，已重新发送）'
   });
 }
 
-async function handleTopicMessage(botToken, ownerUid, message) {
+async function handleTopicMessage(botToken, ownerUid, message, repository, forwardOptions) {
   if (isServiceMessage(message)) {
     return new Response('OK');
   }
 
   // 管理指令在 topic 内执行
-  if (await handleTopicCommands(botToken, ownerUid, message)) {
+  if (await handleTopicCommands(botToken, ownerUid, message, repository)) {
     return new Response('OK');
   }
 
-  const metaMessage = await loadMetadata(botToken, ownerUid);
-  if (!metaMessage?.text) return new Response('OK');
-  const metaData = parseMetaDataMessage(metaMessage);
+  if (!repository.isInitialized()) return new Response('OK');
+  const { metaData } = repository;
   if (metaData.superGroupChatId !== message.chat.id) return new Response('OK');
 
   // 检查这个 Topic 对应的用户是否是管理员
   const targetChatId = metaData.topicToFromChat.get(message.message_thread_id);
   if (targetChatId) {
-    const isAdmin = await isSupergroupAdmin(botToken, metaData.superGroupChatId, targetChatId);
+    const isAdmin = await isSupergroupAdmin(repository.storage, botToken, metaData.superGroupChatId, targetChatId);
     if (isAdmin) {
       console.log('Skip forwarding: User is Supergroup admin');
       return new Response('OK');
@@ -644,35 +692,30 @@ async function handleTopicMessage(botToken, ownerUid, message) {
     return new Response('OK');
   }
 
-  return forwardTopicToPrivate(botToken, ownerUid, metaData, metaMessage, message);
+  return forwardTopicToPrivate(botToken, ownerUid, repository, message, forwardOptions);
 }
 
-async function handleTopicCommands(botToken, ownerUid, message) {
+async function handleTopicCommands(botToken, ownerUid, message, repository) {
   if (!message.text?.startsWith('/')) return false;
   const command = message.text.split(' ')[0];
-  if (command === '/ban') {
-    const metaMessage = await loadMetadata(botToken, ownerUid);
-    if (!metaMessage) return true;
-    const metaData = parseMetaDataMessage(metaMessage);
+  if (command === '/ban' || command === '/unban') {
+    if (!repository.isInitialized()) return true;
+    const { metaData } = repository;
     metaData.superGroupChatId = metaData.superGroupChatId || message.chat.id;
-    await changeBanStatus(botToken, ownerUid, metaData, metaMessage, message.message_thread_id, true);
+    await changeBanStatus(botToken, ownerUid, repository, message.message_thread_id, command === '/ban');
     return true;
   }
-  if (command === '/unban') {
-    const metaMessage = await loadMetadata(botToken, ownerUid);
-    if (!metaMessage) return true;
-    const metaData = parseMetaDataMessage(metaMessage);
-    metaData.superGroupChatId = metaData.superGroupChatId || message.chat.id;
-    await changeBanStatus(botToken, ownerUid, metaData, metaMessage, message.message_thread_id, false);
+  if (NOTE_COMMANDS.includes(message.text.split(/\s/)[0])) {
+    if (!repository.isInitialized()) return true;
+    await handleNoteCommand(botToken, ownerUid, repository, message);
     return true;
   }
   return false;
 }
 
-async function handleStatus(botToken, ownerUid, message) {
+async function handleStatus(botToken, ownerUid, message, repository) {
   const api = createApiCaller(botToken, ownerUid, '/status');
-  const metaMessage = await loadMetadata(botToken, ownerUid);
-  if (!metaMessage?.text) {
+  if (!repository.isInitialized()) {
     await api('sendMessage', {
       chat_id: message.chat.id,
       message_thread_id: message.message_thread_id,
@@ -681,13 +724,21 @@ async function handleStatus(botToken, ownerUid, message) {
     return;
   }
 
-  const metaData = parseMetaDataMessage(metaMessage);
+  const status = await collectStatus(repository, botToken);
+  const { dedup } = status;
   const summary = [
-    `超级群 ID：${metaData.superGroupChatId || '未记录'}`,
-    `映射数量：${metaData.topicToFromChat.size}`,
-    `拉黑话题：${metaData.bannedTopics.length}`,
-    `元数据长度：${(metaMessage.text || '').length}/4096`
-  ].join('\n');
+    `超级群 ID：${status.superGroupChatId || '未记录'}`,
+    `映射数量：${status.topicCount}`,
+    `拉黑话题：${status.bannedCount}`,
+    `元数据来源：${status.source === 'kv' ? 'KV' : '置顶消息'}`,
+    status.deliveryPause ? `转发状态：⏸ 已暂停（${status.deliveryPause.reason}，${formatHumanTime(status.deliveryPause.since)} 起）` : null,
+    status.schemaVersion !== null ? `数据版本：${status.schemaVersion}/${status.latestSchemaVersion}` : null,
+    status.pinnedBackupLength ? `置顶备份长度：${status.pinnedBackupLength}/4096` : null,
+    dedup
+      ? `Update 去重：已启用（保留 ${dedup.ttl / 60} 分钟），拦截重复 ${dedup.duplicates} 次${
+        dedup.lastDuplicateAt ? `，最近一次 ${formatHumanTime(dedup.lastDuplicateAt)}` : ''}`
+      : 'Update 去重：未启用（未配置存储后端）'
+  ].filter(Boolean).join('\n');
 
   const payload = {
     chat_id: message.chat.id,
@@ -699,8 +750,119 @@ async function handleStatus(botToken, ownerUid, message) {
   await api('sendMessage', payload);
 }
 
+// Owner 自检：Webhook、群权限、存储与元数据一致性
+async function handleDoctor(botToken, ownerUid, message, repository) {
+  const api = createApiCaller(botToken, ownerUid, '/doctor');
+  const payload = { chat_id: message.chat.id };
+  if (message.is_topic_message) {
+    payload.message_thread_id = message.message_thread_id;
+  }
+  if (message.from?.id?.toString() !== ownerUid) {
+    await api('sendMessage', { ...payload, text: '⚠️ 仅机器人所有者可以执行自检。' });
+    return;
+  }
+
+  const report = await runDiagnostics({ botToken, repository });
+  await api('sendMessage', { ...payload, text: formatDiagnostics(report) });
+}
+
+// 命令结果发回原会话（话题内保持在同一话题）
+function getReplyTarget(message) {
+  const target = { chat_id: message.chat.id };
+  if (message.is_topic_message) {
+    target.message_thread_id = message.message_thread_id;
+  }
+  return target;
+}
+
+// Owner 对账：先展示差异，确认后修复
+async function handleReconcile(botToken, ownerUid, message, repository) {
+  const api = createApiCaller(botToken, ownerUid, '/reconcile');
+  const target = getReplyTarget(message);
+  if (message.from?.id?.toString() !== ownerUid) {
+    await api('sendMessage', { ...target, text: '⚠️ 仅机器人所有者可以执行对账。' });
+    return;
+  }
+  if (!repository.isInitialized()) {
+    await api('sendMessage', { ...target, text: '⚠️ 尚未初始化，先在绑定的超级群发送 /init。' });
+    return;
+  }
+
+  const plan = await findReconcileIssues(botToken, repository);
+  await sendReconcilePlan(botToken, ownerUid, repository, plan, target);
+}
+
+// 确认操作的执行函数：返回追加到原消息的结果文本
+const CONFIRMATION_HANDLERS = {
+  async reconcile(botToken, ownerUid, repository, plan) {
+    const result = await applyReconcilePlan(botToken, ownerUid, repository, plan);
+    return `${formatReconcilePlan(plan)}\n\n${formatReconcileResult(result)}`;
+  },
+
+  reset(botToken, ownerUid, repository, payload, choice) {
+    return performReset(botToken, ownerUid, repository, payload, choice);
+  }
+};
+
+/**
+ * 处理 Inline 按钮回调
+ * - 仅 Owner 可确认；确认内容取出后即删除，重复点击不会重复执行
+ */
+async function handleCallbackQuery(botToken, ownerUid, callbackQuery, repository) {
+  const api = createApiCaller(botToken, ownerUid, '按钮回调');
+  const answer = (text, showAlert = false) => api('answerCallbackQuery', {
+    callback_query_id: callbackQuery.id,
+    text,
+    show_alert: showAlert
+  });
+
+  const parsed = parseConfirmationData(callbackQuery.data);
+  if (!parsed || !repository.storage) {
+    await answer('无法识别的操作');
+    return;
+  }
+  if (callbackQuery.from?.id?.toString() !== ownerUid) {
+    await answer('仅机器人所有者可以确认此操作', true);
+    return;
+  }
+
+  const { message } = callbackQuery;
+  const editResult = (text) => message && api('editMessageText', {
+    chat_id: message.chat.id,
+    message_id: message.message_id,
+    text
+  });
+
+  const confirmation = await takeConfirmation(repository.storage, parsed.id);
+  if (!confirmation) {
+    await answer('操作已过期或已处理');
+    if (message) {
+      await api('editMessageReplyMarkup', { chat_id: message.chat.id, message_id: message.message_id });
+    }
+    return;
+  }
+  if (parsed.choice === CANCEL_CHOICE) {
+    await answer('已取消');
+    await editResult(`${message?.text || ''}\n\n已取消。`);
+    return;
+  }
+
+  const handler = CONFIRMATION_HANDLERS[confirmation.action];
+  if (!handler) {
+    await answer('未知的操作类型');
+    return;
+  }
+  await answer('正在执行…');
+  try {
+    await editResult(await handler(botToken, ownerUid, repository, confirmation.payload, parsed.choice));
+  } catch (err) {
+    console.error('confirmation handler error', confirmation.action, err);
+    await editResult(`${message?.text || ''}\n\n❌ 执行失败：${err.message || err}`);
+  }
+}
+
 // 超级群组内 /init 处理
-async function handleInit(botToken, ownerUid, message) {
+async function handleInit(botToken, ownerUid, message, repository) {
   const api = createApiCaller(botToken, ownerUid, '/init');
   // Owner 身份验证
   if (message.from?.id?.toString() !== ownerUid) {
@@ -711,14 +873,13 @@ async function handleInit(botToken, ownerUid, message) {
     return;
   }
   try {
-    const existing = await loadMetadata(botToken, ownerUid);
-    if (existing?.text) {
-      const parsed = parseMetadataText(existing.text);
+    if (repository.isInitialized()) {
+      const parsed = repository.metaData;
       const boundGroupId = parsed.superGroupChatId || message.chat.id;
       if (boundGroupId === message.chat.id) {
         await api('sendMessage', {
           chat_id: message.chat.id,
-          text: '已检测到元数据置顶消息，无需重复初始化。使用 /status 查看当前状态。'
+          text: '已检测到元数据，无需重复初始化。使用 /status 查看当前状态。'
         });
         return;
       }
@@ -765,10 +926,7 @@ async function handleInit(botToken, ownerUid, message) {
       }
     }
 
-    const metaMessage = await ensureMetadata(botToken, ownerUid, message.chat.id);
-    const metaData = parseMetadataText(metaMessage.text || `${message.chat.id}`);
-    metaData.superGroupChatId = message.chat.id;
-    await updateMapping(botToken, ownerUid, metaMessage, metaData);
+    await repository.bind(message.chat.id);
     await api('sendMessage', {
       chat_id: message.chat.id,
       text: '✅ 初始化完成，后续私聊消息会按 Topic 隔离。'
@@ -782,7 +940,7 @@ async function handleInit(botToken, ownerUid, message) {
 }
 
 // 强制初始化（跳过冲突检查）
-async function handleInitForce(botToken, ownerUid, message) {
+async function handleInitForce(botToken, ownerUid, message, repository) {
   const api = createApiCaller(botToken, ownerUid, '/init_force');
 
   // Owner 身份验证
@@ -796,16 +954,7 @@ async function handleInitForce(botToken, ownerUid, message) {
 
   try {
     // 直接执行初始化，不检查冲突
-    const metaMessage = await ensureMetadata(botToken, ownerUid, message.chat.id);
-    const metaData = {
-      superGroupChatId: message.chat.id,
-      topicToFromChat: new Map(),
-      fromChatToTopic: new Map(),
-      bannedTopics: [],
-      topicToComment: new Map(),
-      fromChatToComment: new Map()
-    };
-    await updateMapping(botToken, ownerUid, metaMessage, metaData);
+    await repository.bind(message.chat.id, true);
 
     await api('sendMessage', {
       chat_id: message.chat.id,
@@ -828,55 +977,61 @@ async function handleInitForce(botToken, ownerUid, message) {
   }
 }
 
-async function handleReset(botToken, ownerUid, message) {
+// Owner 导出：导出文件始终发送到私聊
+async function handleExport(botToken, ownerUid, message, repository) {
+  const api = createApiCaller(botToken, ownerUid, '/export');
+  const target = getReplyTarget(message);
+  if (message.from?.id?.toString() !== ownerUid) {
+    await api('sendMessage', { ...target, text: '⚠️ 仅机器人所有者可以导出数据。' });
+    return;
+  }
+  if (!repository.isInitialized()) {
+    await api('sendMessage', { ...target, text: '⚠️ 尚未初始化，没有可导出的数据。' });
+    return;
+  }
+  await exportBackup(botToken, ownerUid, repository, target);
+}
+
+// Owner 导入：回复导出文件发送 /import
+async function handleImport(botToken, ownerUid, message, repository) {
+  const api = createApiCaller(botToken, ownerUid, '/import');
+  const target = getReplyTarget(message);
+  if (message.from?.id?.toString() !== ownerUid) {
+    await api('sendMessage', { ...target, text: '⚠️ 仅机器人所有者可以导入数据。' });
+    return;
+  }
+  await importBackup(botToken, ownerUid, repository, message, target);
+}
+
+// Owner 重置：先发送备份，再由按钮选择范围并确认
+async function handleReset(botToken, ownerUid, message, repository) {
   const api = createApiCaller(botToken, ownerUid, '/reset');
-  await api('unpinAllChatMessages', { chat_id: ownerUid });
-  if (message.chat?.id) {
-    // 尝试同时清理超级群的置顶（保存消息映射的 pinned message），避免旧映射干扰
-    await api('unpinAllChatMessages', { chat_id: message.chat.id });
+  const target = getReplyTarget(message);
+  if (message.from?.id?.toString() !== ownerUid) {
+    await api('sendMessage', { ...target, text: '⚠️ 仅机器人所有者可以执行重置。' });
+    return;
   }
-  await api('sendMessage', {
-    chat_id: message.chat.id,
-    text: '已清空元数据，请重新 /init'
-  });
+  if (!repository.isInitialized()) {
+    await api('sendMessage', { ...target, text: '⚠️ 尚未初始化，无需重置。' });
+    return;
+  }
+  await requestReset(botToken, ownerUid, repository, target);
 }
 
-async function handleGroupWideCommands(botToken, ownerUid, message) {
+async function handleGroupWideCommands(botToken, ownerUid, message, repository) {
   if (!message.text) return false;
   const cmd = message.text.split(' ')[0];
   if (cmd === '/init') {
-    await handleInit(botToken, ownerUid, message);
+    await handleInit(botToken, ownerUid, message, repository);
     return true;
   }
   if (cmd === '/init_force') {
-    await handleInitForce(botToken, ownerUid, message);
-    return true;
-  }
-  if (cmd === '/reset') {
-    await handleReset(botToken, ownerUid, message);
+    await handleInitForce(botToken, ownerUid, message, repository);
     return true;
   }
   if (cmd === '/status') {
-    await handleStatus(botToken, ownerUid, message);
+    await handleStatus(botToken, ownerUid, message, repository);
     return true;
   }
   return false;
 }
-
-/**
- * 检查用户是否是 Supergroup 的管理员
- */
-export async function isSupergroupAdmin(botToken, supergroupId, userId) {
-  try {
-    const resp = await callTelegramApi(botToken, 'getChatMember', {
-      chat_id: supergroupId,
-      user_id: userId
-    }, { context: '检查管理员身份' });
-
-    const status = resp.result?.status;
-    return status === 'creator' || status === 'administrator';
-  } catch (err) {
-    console.error('isSupergroupAdmin error', err);
-    return false;
-  }
-}
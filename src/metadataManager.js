@@ -5,7 +5,6 @@
  *   例如: `-100123;10:123456` 或 `-100123;10:b123456`
  */
 
-import { getKvStore } from './kvConfig.js';
 import { callTelegramApi } from './core.js';
 
 const MAX_TEXT_LENGTH = 4096; // Telegram 文本上限，内部进行 FIFO 压缩
@@ -81,7 +80,9 @@ function stringifyMetadata(superGroupChatId, topicToFromChat, bannedTopics, topi
 }
 
 // 保证元数据长度不超过 4096，超出时按插入顺序丢弃最早的映射
-function trimMetadataEntries(data) {
+// 仅裁剪副本，KV 中的完整映射不受影响
+function trimMetadataEntries(source) {
+  const data = cloneMetadata(source);
   let serialized = stringifyMetadata(data.superGroupChatId, data.topicToFromChat, data.bannedTopics, data.topicToComment);
   if (serialized.length <= MAX_TEXT_LENGTH) return serialized;
 
@@ -154,17 +155,29 @@ export async function loadMetadata(botToken, ownerUid) {
   return chatInfo.result?.pinned_message || null;
 }
 
-export async function updateMapping(botToken, ownerUid, metaMessage, data) {
-  const kvStore = getKvStore();
+/**
+ * 将元数据写入 Owner 私聊置顶消息（备份/兼容）
+ * - 置顶消息不存在时自动创建
+ * @returns {Promise<object>} 最新的置顶消息
+ */
+export async function saveMetadataBackup(botToken, ownerUid, metaMessage, data) {
+  const target = metaMessage || await ensureMetadata(botToken, ownerUid, data.superGroupChatId);
+  return editMetadata(botToken, ownerUid, target, trimMetadataEntries(data));
+}
 
-  // 优先保存到 KV
-  if (kvStore && data.superGroupChatId) {
-    await saveTopicMappingToKV(kvStore, data.superGroupChatId, data);
-  }
+export function createEmptyMetadata(superGroupChatId = null) {
+  return { ...parseMetadataText(''), superGroupChatId };
+}
 
-  // 同时保存到置顶消息（备份/兼容）
-  const newText = trimMetadataEntries(data);
-  return editMetadata(botToken, ownerUid, metaMessage, newText);
+export function cloneMetadata(data) {
+  return {
+    superGroupChatId: data.superGroupChatId,
+    topicToFromChat: new Map(data.topicToFromChat),
+    fromChatToTopic: new Map(data.fromChatToTopic),
+    bannedTopics: [...(data.bannedTopics || [])],
+    topicToComment: new Map(data.topicToComment),
+    fromChatToComment: new Map(data.fromChatToComment)
+  };
 }
 
 export function upsertMapping(data, topicId, fromChatId, commentName) {
@@ -177,6 +190,20 @@ export function upsertMapping(data, topicId, fromChatId, commentName) {
   }
 }
 
+// 设置或清除 Topic 对应用户的备注名
+export function setComment(data, topicId, commentName) {
+  const { topicToFromChat, topicToComment, fromChatToComment } = data;
+  const fromChatId = topicToFromChat.get(topicId);
+  if (!fromChatId) return;
+  if (commentName) {
+    topicToComment.set(topicId, commentName);
+    fromChatToComment.set(fromChatId, commentName);
+  } else {
+    topicToComment.delete(topicId);
+    fromChatToComment.delete(fromChatId);
+  }
+}
+
 export function markBan(data, topicId, banned) {
   const { bannedTopics } = data;
   const topicKey = topicId.toString();
@@ -205,7 +232,7 @@ export function removeMapping(data, topicId) {
  * 解析超管群置顶消息中的消息映射数据
  * - 单条格式：topicId-topicMessageId:pmMessageId
  */
-function parseMessageMappings(text = '') {
+export function parseMessageMappings(text = '') {
   if (!text) return [];
   const entries = [];
   for (const chunk of text.split(MESSAGE_MAPPING_SEPARATOR)) {
@@ -257,9 +284,7 @@ function trimMappingText(text) {
  * 将最新的消息映射追加到超管群置顶消息中
  * 如果有 KV 存储可用，优先使用 KV
  */
-export async function addMessageMapping(botToken, superGroupChatId, topicId, topicMessageId, pmMessageId) {
-  const kvStore = getKvStore();
-
+export async function addMessageMapping(kvStore, botToken, superGroupChatId, topicId, topicMessageId, pmMessageId) {
   // 优先使用 KV 存储
   if (kvStore) {
     return addMessageMappingKV(kvStore, superGroupChatId, topicId, topicMessageId, pmMessageId);
@@ -308,9 +333,7 @@ export async function addMessageMapping(botToken, superGroupChatId, topicId, top
  * 根据私聊消息 ID 查找对应的 Topic 消息 ID
  * 如果有 KV 存储可用，优先使用 KV
  */
-export async function findTopicMessageId(botToken, superGroupChatId, pmMessageId) {
-  const kvStore = getKvStore();
-
+export async function findTopicMessageId(kvStore, botToken, superGroupChatId, pmMessageId) {
   // 优先使用 KV 存储
   if (kvStore) {
     return findTopicMessageIdKV(kvStore, superGroupChatId, pmMessageId);
@@ -332,9 +355,7 @@ export async function findTopicMessageId(botToken, superGroupChatId, pmMessageId
  * 根据 Topic 消息 ID 查找对应的私聊消息 ID
  * 如果有 KV 存储可用，优先使用 KV
  */
-export async function findPmMessageId(botToken, superGroupChatId, topicMessageId) {
-  const kvStore = getKvStore();
-
+export async function findPmMessageId(kvStore, botToken, superGroupChatId, topicMessageId) {
   // 优先使用 KV 存储
   if (kvStore) {
     return findPmMessageIdKV(kvStore, superGroupChatId, topicMessageId);
@@ -352,37 +373,137 @@ export async function findPmMessageId(botToken, superGroupChatId, topicMessageId
   return { topicId: null, pmMessageId: null };
 }
 
+/**
+ * 列出超级群的全部消息映射（用于导出）
+ * 如果有 KV 存储可用，优先使用 KV
+ * @returns {Promise<Array<{topicId: number, topicMessageId: number, pmMessageId: number}>>}
+ */
+export async function listMessageMappings(kvStore, botToken, superGroupChatId) {
+  if (kvStore) {
+    return listMessageMappingsKV(kvStore, superGroupChatId);
+  }
+  const { text } = await loadMessageMappingText(botToken, superGroupChatId);
+  return parseMessageMappings(text);
+}
+
 /**
  * ========== KV 存储实现 ==========
+ * - 每条消息按方向各存一个 key，查找为 O(1)
+ *   `msg:pm:<groupId>:<pmMessageId>` → { topicId, topicMessageId }
+ *   `msg:topic:<groupId>:<topicMessageId>` → { topicId, pmMessageId }
+ * - 依赖 KV 的 expirationTtl 自动过期，不再做 FIFO 截断
+ * - key 的 metadata 同时记录 value 的内容，按 Topic 清理与导出只需 list，不必逐条 get
+ * - 待拆分数组 `mapping:<groupId>`：旧版的整组映射，以及批量导入的映射；
+ *   查找未命中时分批拆分为单条 key，列出 / 统计 / 删除直接读写数组，单次调用的 KV 操作数与映射总数无关
  */
 
-const MAX_KV_MAPPINGS = 1000;  // KV 中最多保存 1000 条映射
+const MESSAGE_MAPPING_TTL = 60 * 60 * 24 * 90;  // 消息映射保留 90 天
+const LEGACY_MIGRATION_BATCH = 200;  // 单次迁移条数，避免超出 Worker 单次调用的 KV 操作上限
+
+function getPmMessageKey(superGroupChatId, pmMessageId) {
+  return `msg:pm:${superGroupChatId}:${pmMessageId}`;
+}
+
+function getTopicMessageKey(superGroupChatId, topicMessageId) {
+  return `msg:topic:${superGroupChatId}:${topicMessageId}`;
+}
 
-function getKvKey(superGroupChatId) {
+// 待拆分数组（旧版的整组映射与批量导入）
+function getLegacyMappingKey(superGroupChatId) {
   return `mapping:${superGroupChatId}`;
 }
 
-async function loadMappingsFromKV(kvStore, superGroupChatId) {
+async function listKeysFromKV(kvStore, prefix) {
+  const keys = [];
+  let cursor;
+  do {
+    const page = await kvStore.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? undefined : page.cursor;
+  } while (cursor);
+  return keys;
+}
+
+async function putMessageMappingKV(kvStore, superGroupChatId, topicId, topicMessageId, pmMessageId) {
+  const pmValue = { topicId, topicMessageId };
+  const topicValue = { topicId, pmMessageId };
+  await Promise.all([
+    kvStore.put(getPmMessageKey(superGroupChatId, pmMessageId), JSON.stringify(pmValue), {
+      expirationTtl: MESSAGE_MAPPING_TTL,
+      metadata: pmValue
+    }),
+    kvStore.put(getTopicMessageKey(superGroupChatId, topicMessageId), JSON.stringify(topicValue), {
+      expirationTtl: MESSAGE_MAPPING_TTL,
+      metadata: topicValue
+    })
+  ]);
+}
+
+async function loadLegacyMappingsKV(kvStore, superGroupChatId) {
+  const mappings = await kvStore.get(getLegacyMappingKey(superGroupChatId), { type: 'json' });
+  return Array.isArray(mappings) ? mappings : [];
+}
+
+async function saveLegacyMappingsKV(kvStore, superGroupChatId, mappings) {
+  const key = getLegacyMappingKey(superGroupChatId);
+  if (mappings.length > 0) {
+    await kvStore.put(key, JSON.stringify(mappings));
+  } else {
+    await kvStore.delete(key);
+  }
+}
+
+// 迁移数组中最新的一批，剩余部分写回旧 key，全部迁移后删除旧 key；出错时抛出
+async function migrateLegacyBatchKV(kvStore, superGroupChatId) {
+  const mappings = await loadLegacyMappingsKV(kvStore, superGroupChatId);
+  if (mappings.length === 0) return [];
+
+  const batch = mappings.slice(-LEGACY_MIGRATION_BATCH);
+  const remaining = mappings.slice(0, -LEGACY_MIGRATION_BATCH);
+  await Promise.all(batch.map((entry) => putMessageMappingKV(
+    kvStore,
+    superGroupChatId,
+    entry.topicId,
+    entry.topicMessageId,
+    entry.pmMessageId
+  )));
+
+  await saveLegacyMappingsKV(kvStore, superGroupChatId, remaining);
+  console.log('Migrated', batch.length, 'legacy message mappings, remaining', remaining.length);
+  return mappings;
+}
+
+/**
+ * 将旧版 `mapping:<groupId>` 数组迁移为单条 key
+ * - 每次只迁移最新的一批，剩余部分写回旧 key，全部迁移后删除旧 key
+ * @returns {Promise<Array>} 迁移前旧 key 中的全部映射，无旧数据时为空数组
+ */
+export async function migrateLegacyMappingsKV(kvStore, superGroupChatId) {
   if (!kvStore) return [];
   try {
-    const key = getKvKey(superGroupChatId);
-    const data = await kvStore.get(key, { type: 'json' });
-    return data || [];
+    return await migrateLegacyBatchKV(kvStore, superGroupChatId);
   } catch (err) {
-    console.error('loadMappingsFromKV error', err);
+    console.error('migrateLegacyMappingsKV error', err);
     return [];
   }
 }
 
-async function saveMappingsToKV(kvStore, superGroupChatId, mappings) {
-  if (!kvStore) return;
+/**
+ * 读取单条映射，未命中时回落到旧版数组查找（顺带迁移一批）
+ * @param {function} matchLegacy - 在旧版数组中匹配目标条目
+ */
+async function getMessageMappingKV(kvStore, superGroupChatId, key, matchLegacy) {
   try {
-    const key = getKvKey(superGroupChatId);
-    // 限制数组长度，FIFO 淘汰旧映射
-    const trimmed = mappings.slice(-MAX_KV_MAPPINGS);
-    await kvStore.put(key, JSON.stringify(trimmed));
+    const entry = await kvStore.get(key, { type: 'json' });
+    if (entry) return entry;
+    const legacy = await migrateLegacyMappingsKV(kvStore, superGroupChatId);
+    for (let i = legacy.length - 1; i >= 0; i -= 1) {
+      if (matchLegacy(legacy[i])) return legacy[i];
+    }
+    return null;
   } catch (err) {
-    console.error('saveMappingsToKV error', err);
+    console.error('getMessageMappingKV error', err);
+    return null;
   }
 }
 
@@ -390,37 +511,39 @@ async function saveMappingsToKV(kvStore, superGroupChatId, mappings) {
  * 添加消息映射（KV 版本）
  */
 export async function addMessageMappingKV(kvStore, superGroupChatId, topicId, topicMessageId, pmMessageId) {
-  const mappings = await loadMappingsFromKV(kvStore, superGroupChatId);
-  mappings.push({ topicId, topicMessageId, pmMessageId });
-  await saveMappingsToKV(kvStore, superGroupChatId, mappings);
+  try {
+    await putMessageMappingKV(kvStore, superGroupChatId, topicId, topicMessageId, pmMessageId);
+  } catch (err) {
+    console.error('addMessageMappingKV error', err);
+  }
 }
 
 /**
  * 根据私聊消息 ID 查找对应的 Topic 消息 ID（KV 版本）
  */
 export async function findTopicMessageIdKV(kvStore, superGroupChatId, pmMessageId) {
-  const mappings = await loadMappingsFromKV(kvStore, superGroupChatId);
-  for (let i = mappings.length - 1; i >= 0; i -= 1) {
-    const entry = mappings[i];
-    if (entry.pmMessageId === pmMessageId) {
-      return { topicId: entry.topicId, topicMessageId: entry.topicMessageId };
-    }
-  }
-  return { topicId: null, topicMessageId: null };
+  const entry = await getMessageMappingKV(
+    kvStore,
+    superGroupChatId,
+    getPmMessageKey(superGroupChatId, pmMessageId),
+    (item) => item.pmMessageId === pmMessageId
+  );
+  if (!entry) return { topicId: null, topicMessageId: null };
+  return { topicId: entry.topicId, topicMessageId: entry.topicMessageId };
 }
 
 /**
  * 根据 Topic 消息 ID 查找对应的私聊消息 ID（KV 版本）
  */
 export async function findPmMessageIdKV(kvStore, superGroupChatId, topicMessageId) {
-  const mappings = await loadMappingsFromKV(kvStore, superGroupChatId);
-  for (let i = mappings.length - 1; i >= 0; i -= 1) {
-    const entry = mappings[i];
-    if (entry.topicMessageId === topicMessageId) {
-      return { topicId: entry.topicId, pmMessageId: entry.pmMessageId };
-    }
-  }
-  return { topicId: null, pmMessageId: null };
+  const entry = await getMessageMappingKV(
+    kvStore,
+    superGroupChatId,
+    getTopicMessageKey(superGroupChatId, topicMessageId),
+    (item) => item.topicMessageId === topicMessageId
+  );
+  if (!entry) return { topicId: null, pmMessageId: null };
+  return { topicId: entry.topicId, pmMessageId: entry.pmMessageId };
 }
 
 /**
@@ -431,121 +554,414 @@ function getTopicMappingKey(superGroupChatId) {
   return `topics:${superGroupChatId}`;
 }
 
-async function loadTopicMappingFromKV(kvStore, superGroupChatId) {
+const METADATA_WRITE_RETRIES = 5;
+const topicMappingLocks = new Map();  // 同一 isolate 内按 key 串行化写入
+
+function serializeTopicMapping(metaData) {
+  // 将 Map 转换为数组以便序列化
+  return {
+    superGroupChatId: metaData.superGroupChatId,
+    topicToFromChat: Array.from(metaData.topicToFromChat.entries()),
+    fromChatToTopic: Array.from(metaData.fromChatToTopic.entries()),
+    bannedTopics: metaData.bannedTopics,
+    topicToComment: Array.from(metaData.topicToComment.entries()),
+    fromChatToComment: Array.from(metaData.fromChatToComment.entries())
+  };
+}
+
+function deserializeTopicMapping(data) {
+  // 重建 Map 对象
+  return {
+    superGroupChatId: data.superGroupChatId,
+    topicToFromChat: new Map(data.topicToFromChat || []),
+    fromChatToTopic: new Map(data.fromChatToTopic || []),
+    bannedTopics: data.bannedTopics || [],
+    topicToComment: new Map(data.topicToComment || []),
+    fromChatToComment: new Map(data.fromChatToComment || [])
+  };
+}
+
+export async function loadTopicMappingFromKV(kvStore, superGroupChatId) {
   if (!kvStore) return null;
   try {
     const key = getTopicMappingKey(superGroupChatId);
     const data = await kvStore.get(key, { type: 'json' });
     if (!data) return null;
-
-    // 重建 Map 对象
-    return {
-      superGroupChatId: data.superGroupChatId,
-      topicToFromChat: new Map(data.topicToFromChat || []),
-      fromChatToTopic: new Map(data.fromChatToTopic || []),
-      bannedTopics: data.bannedTopics || [],
-      topicToComment: new Map(data.topicToComment || []),
-      fromChatToComment: new Map(data.fromChatToComment || [])
-    };
+    return deserializeTopicMapping(data);
   } catch (err) {
     console.error('loadTopicMappingFromKV error', err);
     return null;
   }
 }
 
-async function saveTopicMappingToKV(kvStore, superGroupChatId, metaData) {
-  if (!kvStore) return;
+async function withTopicMappingLock(key, task) {
+  const previous = topicMappingLocks.get(key) || Promise.resolve();
+  let release;
+  const current = new Promise((resolve) => { release = resolve; });
+  const chained = previous.then(() => current);
+  topicMappingLocks.set(key, chained);
+  await previous;
   try {
-    const key = getTopicMappingKey(superGroupChatId);
-    // 将 Map 转换为数组以便序列化
-    const data = {
+    return await task();
+  } finally {
+    release();
+    if (topicMappingLocks.get(key) === chained) topicMappingLocks.delete(key);
+  }
+}
+
+// 冲突后退避，避免多个写入方同时重试
+function backoff(attempt) {
+  return new Promise((resolve) => setTimeout(resolve, 50 * (attempt + 1) + Math.random() * 50));
+}
+
+/**
+ * 带版本号的 compare-and-retry 写入
+ * - 读取最新版本并在其上重放 mutation，以「版本号未变」为条件写入
+ * - 存储后端支持 writeVersioned（内存、文件、D1、绑定 Durable Object 的 KV）时由后端保证比较与写入原子执行，
+ *   冲突时立即基于后端返回的最新值重试；每次冲突都意味着另一方已写入成功，不会互相卡住
+ * - 未绑定 Durable Object 的 KV 只能先校验版本再写入，并读回写入标识确认，跨 isolate 并发时仍可能丢失更新
+ * - 未提供 mutation 时整体覆盖（如 /init_force），同样以版本号为条件
+ * @returns {Promise<object>} 实际写入的元数据
+ */
+export async function saveTopicMappingToKV(kvStore, superGroupChatId, metaData, mutation) {
+  if (!kvStore) return metaData;
+  const key = getTopicMappingKey(superGroupChatId);
+  const buildNext = (stored) => {
+    const next = stored && mutation ? deserializeTopicMapping(stored) : cloneMetadata(metaData);
+    if (mutation) mutation(next);
+    return next;
+  };
+
+  return withTopicMappingLock(key, async () => {
+    if (kvStore.writeVersioned) {
+      let stored = await kvStore.get(key, { type: 'json' });
+      for (let attempt = 0; attempt < METADATA_WRITE_RETRIES; attempt += 1) {
+        const version = stored?.version || 0;
+        const next = buildNext(stored);
+        const result = await kvStore.writeVersioned(key, JSON.stringify({ ...serializeTopicMapping(next), version: version + 1 }), {
+          expectedVersion: version
+        });
+        if (result.ok) return next;
+        // 后端返回的是冲突时的最新值（KV 的读取可能滞后），立即基于它重试，等待只会让它过期
+        stored = result.current ? JSON.parse(result.current) : null;
+      }
+      throw new Error('元数据写入冲突，重试次数已用尽');
+    }
+
+    for (let attempt = 0; attempt < METADATA_WRITE_RETRIES; attempt += 1) {
+      try {
+        const stored = await kvStore.get(key, { type: 'json' });
+        const version = stored?.version || 0;
+        const next = buildNext(stored);
+
+        const beforeWrite = await kvStore.get(key, { type: 'json' });
+        if ((beforeWrite?.version || 0) === version) {
+          const writeId = crypto.randomUUID();
+          await kvStore.put(key, JSON.stringify({ ...serializeTopicMapping(next), version: version + 1, writeId }));
+          const afterWrite = await kvStore.get(key, { type: 'json' });
+          if (afterWrite?.writeId === writeId) return next;
+        }
+      } catch (err) {
+        console.error('saveTopicMappingToKV error', err);
+      }
+      await backoff(attempt);
+    }
+    throw new Error('元数据写入冲突，重试次数已用尽');
+  });
+}
+
+// 删除或整体写入 Topic 映射 key，经由条件写入通道，避免绕过版本控制
+async function replaceTopicMappingKV(kvStore, superGroupChatId, value) {
+  const key = getTopicMappingKey(superGroupChatId);
+  if (kvStore.writeVersioned) {
+    await kvStore.writeVersioned(key, value);
+  } else if (value === null) {
+    await kvStore.delete(key);
+  } else {
+    await kvStore.put(key, value);
+  }
+}
+
+/**
+ * 跨超级群查询某个用户的全部 Topic
+ * @returns {Promise<Array<{superGroupChatId: number, topicId: number, banned: boolean, comment: string|null}>>}
+ */
+export async function findTopicsByUser(kvStore, fromChatId) {
+  if (!kvStore) return [];
+  const results = [];
+  const keys = await listKeysFromKV(kvStore, 'topics:');
+  for (const key of keys) {
+    const data = await kvStore.get(key.name, { type: 'json' });
+    if (!data) continue;
+    const metaData = deserializeTopicMapping(data);
+    const topicId = metaData.fromChatToTopic.get(fromChatId);
+    if (!topicId) continue;
+    results.push({
       superGroupChatId: metaData.superGroupChatId,
-      topicToFromChat: Array.from(metaData.topicToFromChat.entries()),
-      fromChatToTopic: Array.from(metaData.fromChatToTopic.entries()),
-      bannedTopics: metaData.bannedTopics,
-      topicToComment: Array.from(metaData.topicToComment.entries()),
-      fromChatToComment: Array.from(metaData.fromChatToComment.entries())
-    };
-    await kvStore.put(key, JSON.stringify(data));
-  } catch (err) {
-    console.error('saveTopicMappingToKV error', err);
+      topicId,
+      banned: metaData.bannedTopics.includes(topicId.toString()),
+      comment: metaData.topicToComment.get(topicId) || null
+    });
   }
+  return results;
 }
 
 /**
- * 加载元数据（KV 优先版本）
+ * ========== Owner 绑定关系 KV 存储 ==========
+ * - `binding:<ownerUid>` → { superGroupChatId }，取代置顶消息作为绑定的来源
  */
-export async function loadMetadataKV(botToken, ownerUid, superGroupChatId) {
-  const kvStore = getKvStore();
 
-  // 优先从 KV 读取
-  if (kvStore && superGroupChatId) {
-    const kvData = await loadTopicMappingFromKV(kvStore, superGroupChatId);
-    if (kvData) return kvData;
+function getBindingKey(ownerUid) {
+  return `binding:${ownerUid}`;
+}
+
+export async function loadBindingFromKV(kvStore, ownerUid) {
+  if (!kvStore) return null;
+  try {
+    const data = await kvStore.get(getBindingKey(ownerUid), { type: 'json' });
+    return data?.superGroupChatId || null;
+  } catch (err) {
+    console.error('loadBindingFromKV error', err);
+    return null;
   }
+}
 
-  // 回���到置顶消息
-  const metaMessage = await loadMetadata(botToken, ownerUid);
-  if (!metaMessage) return null;
-  return parseMetaDataMessage(metaMessage);
+export async function saveBindingToKV(kvStore, ownerUid, superGroupChatId) {
+  if (!kvStore) return;
+  const key = getBindingKey(ownerUid);
+  if (superGroupChatId) {
+    await kvStore.put(key, JSON.stringify({ superGroupChatId }));
+  } else {
+    await kvStore.delete(key);
+  }
 }
 
 /**
- * 更新元数据（KV 优先版本）
+ * ========== 用户资料 KV 存储 ==========
+ * - `profile:<groupId>:<fromChatId>` → 资料卡内容与资料卡消息位置（见 profileCard.js）
  */
-export async function updateMappingKV(botToken, ownerUid, metaData) {
-  const kvStore = getKvStore();
 
-  // 优先保存到 KV
-  if (kvStore) {
-    await saveTopicMappingToKV(kvStore, metaData.superGroupChatId, metaData);
+function getProfileKey(superGroupChatId, fromChatId) {
+  return `profile:${superGroupChatId}:${fromChatId}`;
+}
+
+export async function loadProfileFromKV(kvStore, superGroupChatId, fromChatId) {
+  if (!kvStore || !superGroupChatId) return null;
+  try {
+    return await kvStore.get(getProfileKey(superGroupChatId, fromChatId), { type: 'json' });
+  } catch (err) {
+    console.error('loadProfileFromKV error', err);
+    return null;
   }
+}
 
-  // 同时保存到置顶消息（备份）
-  const metaMessage = await ensureMetadata(botToken, ownerUid, metaData.superGroupChatId);
-  return editMetadata(botToken, ownerUid, metaMessage, trimMetadataEntries(metaData));
+export async function saveProfileToKV(kvStore, superGroupChatId, fromChatId, profile) {
+  if (!kvStore || !superGroupChatId) return;
+  await kvStore.put(getProfileKey(superGroupChatId, fromChatId), JSON.stringify(profile));
 }
 
 /**
- * 统一的元数据获取函数（KV 优先）
- * 自动从 KV 或置顶消息加载元数据
+ * 列出超级群的全部用户资料（用于导出）
+ * @returns {Promise<Array<{fromChatId: number, profile: object}>>}
  */
-export async function getMetadata(botToken, ownerUid, superGroupChatId = null) {
-  const kvStore = getKvStore();
+export async function listProfilesKV(kvStore, superGroupChatId) {
+  if (!kvStore || !superGroupChatId) return [];
+  const prefix = getProfileKey(superGroupChatId, '');
+  const keys = await listKeysFromKV(kvStore, prefix);
+  const profiles = await Promise.all(keys.map(async (key) => {
+    const fromChatId = parseInt(key.name.slice(prefix.length), 10);
+    const profile = await kvStore.get(key.name, { type: 'json' });
+    return profile && !Number.isNaN(fromChatId) ? { fromChatId, profile } : null;
+  }));
+  return profiles.filter(Boolean).sort((a, b) => a.fromChatId - b.fromChatId);
+}
+
+function getMessageMappingPrefixes(superGroupChatId) {
+  return [`msg:pm:${superGroupChatId}:`, `msg:topic:${superGroupChatId}:`];
+}
 
-  // 优先从 KV 读取（如果提供了 superGroupChatId）
-  if (kvStore && superGroupChatId) {
-    const kvData = await loadTopicMappingFromKV(kvStore, superGroupChatId);
-    if (kvData) return { metaData: kvData, metaMessage: null };
+/**
+ * 统计各 Topic 的消息映射 key 数量
+ * @returns {Promise<Map<number, number>>} topicId → key 数量
+ */
+export async function countMessageMappingsByTopic(kvStore, superGroupChatId) {
+  const counts = new Map();
+  if (!kvStore) return counts;
+  const increase = (topicId, count) => counts.set(topicId, (counts.get(topicId) || 0) + count);
+  for (const prefix of getMessageMappingPrefixes(superGroupChatId)) {
+    const keys = await listKeysFromKV(kvStore, prefix);
+    for (const key of keys) {
+      const topicId = key.metadata?.topicId;
+      if (topicId !== undefined) increase(topicId, 1);
+    }
   }
+  // 数组中的映射拆分后为两个 key
+  for (const { topicId } of await loadLegacyMappingsKV(kvStore, superGroupChatId)) increase(topicId, 2);
+  return counts;
+}
+
+/**
+ * 删除属于指定 Topic 集合的所有消息映射
+ * @returns {Promise<number>} 删除的 key 数量
+ */
+export async function deleteMessageMappingsByTopics(kvStore, superGroupChatId, topicIds) {
+  if (!kvStore) return 0;
+  const targets = new Set(topicIds);
+  let removed = 0;
+  for (const prefix of getMessageMappingPrefixes(superGroupChatId)) {
+    const keys = await listKeysFromKV(kvStore, prefix);
+    const stale = keys.filter((key) => targets.has(key.metadata?.topicId));
+    await Promise.all(stale.map((key) => kvStore.delete(key.name)));
+    removed += stale.length;
+  }
+  const pending = await loadLegacyMappingsKV(kvStore, superGroupChatId);
+  const kept = pending.filter(({ topicId }) => !targets.has(topicId));
+  if (kept.length < pending.length) {
+    await saveLegacyMappingsKV(kvStore, superGroupChatId, kept);
+    removed += (pending.length - kept.length) * 2;
+  }
+  return removed;
+}
 
-  // 回退到置顶消息
-  const metaMessage = await loadMetadata(botToken, ownerUid);
-  if (!metaMessage) return { metaData: null, metaMessage: null };
+// 以 Topic 方向的 key 为准列出单条映射；metadata 不含 pmMessageId 的旧 key 回落到读取 value
+async function listStoredMappingsKV(kvStore, superGroupChatId) {
+  const prefix = getTopicMessageKey(superGroupChatId, '');
+  const keys = await listKeysFromKV(kvStore, prefix);
+  const entries = await Promise.all(keys.map(async (key) => {
+    const topicMessageId = parseInt(key.name.slice(prefix.length), 10);
+    if (Number.isNaN(topicMessageId)) return null;
+    const entry = key.metadata?.pmMessageId !== undefined ? key.metadata : await kvStore.get(key.name, { type: 'json' });
+    if (!entry) return null;
+    return { topicId: entry.topicId, topicMessageId, pmMessageId: entry.pmMessageId };
+  }));
+  return entries.filter(Boolean);
+}
 
-  const metaData = parseMetaDataMessage(metaMessage);
+/**
+ * 列出全部消息映射（KV 版本）：单条 key 加上尚未拆分的数组
+ */
+export async function listMessageMappingsKV(kvStore, superGroupChatId) {
+  const entries = await listStoredMappingsKV(kvStore, superGroupChatId);
+  const known = new Set(entries.map(({ topicMessageId }) => topicMessageId));
+  for (const entry of await loadLegacyMappingsKV(kvStore, superGroupChatId)) {
+    if (known.has(entry.topicMessageId)) continue;
+    known.add(entry.topicMessageId);
+    entries.push({ topicId: entry.topicId, topicMessageId: entry.topicMessageId, pmMessageId: entry.pmMessageId });
+  }
+  return entries.sort((a, b) => a.topicMessageId - b.topicMessageId);
+}
 
-  // 如果有 KV 且元数据有效，迁移到 KV
-  if (kvStore && metaData && metaData.superGroupChatId) {
-    await saveTopicMappingToKV(kvStore, metaData.superGroupChatId, metaData);
+/**
+ * 批量导入消息映射，已存在的映射保持不变（用于从置顶消息迁移与导入导出文件）
+ * - 缺失的映射追加到待拆分数组，只需一次写入；之后查找未命中时分批拆分为单条 key
+ * @returns {Promise<number>} 新导入的映射数量
+ */
+export async function importMessageMappingsKV(kvStore, superGroupChatId, entries) {
+  const existing = await listMessageMappingsKV(kvStore, superGroupChatId);
+  const known = new Set(existing.map(({ topicMessageId }) => topicMessageId));
+  const missing = [];
+  for (const { topicId, topicMessageId, pmMessageId } of entries) {
+    if (known.has(topicMessageId)) continue;
+    known.add(topicMessageId);
+    missing.push({ topicId, topicMessageId, pmMessageId });
+  }
+  if (missing.length === 0) return 0;
+  const pending = await loadLegacyMappingsKV(kvStore, superGroupChatId);
+  await saveLegacyMappingsKV(kvStore, superGroupChatId, [...pending, ...missing]);
+  return missing.length;
+}
+
+/**
+ * 从任一超级群的 `mapping:<groupId>` 数组中拆分一批（LEGACY_MIGRATION_BATCH 条）为单条 key
+ * - 每次调用的 KV 操作数有上限，需多次调用直至返回 true
+ * - 出错时抛出，不吞掉异常，避免调用方误判为已完成
+ * @returns {Promise<boolean>} 是否已没有待拆分的数组
+ */
+export async function migrateNextLegacyMappingBatchKV(kvStore) {
+  const prefix = getLegacyMappingKey('');
+  const { keys } = await kvStore.list({ prefix, limit: 1 });
+  if (keys.length === 0) return true;
+  const superGroupChatId = keys[0].name.slice(prefix.length);
+  const mappings = await migrateLegacyBatchKV(kvStore, superGroupChatId);
+  // 空数组或格式错误的旧 key 不含映射，直接删除，避免一直阻塞迁移
+  if (mappings.length === 0) await kvStore.delete(keys[0].name);
+  return (await kvStore.list({ prefix, limit: 1 })).keys.length === 0;
+}
+
+/**
+ * 删除超级群在存储中的全部数据：Topic 映射、旧版映射数组、逐条消息映射与用户资料
+ * @returns {Promise<number>} 删除的消息映射 key 数量
+ */
+export async function deleteGroupDataKV(kvStore, superGroupChatId) {
+  if (!kvStore) return 0;
+  let removed = 0;
+  for (const prefix of getMessageMappingPrefixes(superGroupChatId)) {
+    const keys = await listKeysFromKV(kvStore, prefix);
+    await Promise.all(keys.map((key) => kvStore.delete(key.name)));
+    removed += keys.length;
+  }
+  const profileKeys = await listKeysFromKV(kvStore, getProfileKey(superGroupChatId, ''));
+  await Promise.all([
+    ...profileKeys.map((key) => kvStore.delete(key.name)),
+    replaceTopicMappingKV(kvStore, superGroupChatId, null),
+    kvStore.delete(getLegacyMappingKey(superGroupChatId))
+  ]);
+  return removed;
+}
+
+/**
+ * 超级群 ID 变化（群组升级迁移）时，将 Topic 映射、消息映射与用户资料转移到新 ID 下
+ * - 消息映射按原值复制，过期时间从转移时重新计算；待拆分数组整体转移
+ * @returns {Promise<number>} 转移的消息映射 key 数量
+ */
+export async function moveGroupDataKV(kvStore, fromGroupId, toGroupId) {
+  if (!kvStore) return 0;
+  const targetPrefixes = getMessageMappingPrefixes(toGroupId);
+  let moved = 0;
+  for (const [index, prefix] of getMessageMappingPrefixes(fromGroupId).entries()) {
+    const keys = await listKeysFromKV(kvStore, prefix);
+    for (const key of keys) {
+      const value = await kvStore.get(key.name);
+      if (value === null) continue;
+      await kvStore.put(`${targetPrefixes[index]}${key.name.slice(prefix.length)}`, value, {
+        expirationTtl: MESSAGE_MAPPING_TTL,
+        metadata: key.metadata
+      });
+      await kvStore.delete(key.name);
+      moved += 1;
+    }
+  }
+  const pending = await loadLegacyMappingsKV(kvStore, fromGroupId);
+  if (pending.length > 0) {
+    await saveLegacyMappingsKV(kvStore, toGroupId, [...await loadLegacyMappingsKV(kvStore, toGroupId), ...pending]);
+    await saveLegacyMappingsKV(kvStore, fromGroupId, []);
+    moved += pending.length * 2;
   }
 
-  return { metaData, metaMessage };
+  const profilePrefix = getProfileKey(fromGroupId, '');
+  for (const key of await listKeysFromKV(kvStore, profilePrefix)) {
+    const value = await kvStore.get(key.name);
+    if (value !== null) await kvStore.put(getProfileKey(toGroupId, key.name.slice(profilePrefix.length)), value);
+    await kvStore.delete(key.name);
+  }
+
+  const stored = await kvStore.get(getTopicMappingKey(fromGroupId), { type: 'json' });
+  if (stored) {
+    await replaceTopicMappingKV(kvStore, toGroupId, JSON.stringify({ ...stored, superGroupChatId: toGroupId }));
+    await replaceTopicMappingKV(kvStore, fromGroupId, null);
+  }
+  return moved;
 }
 
 /**
  * 清理指定 Topic 的所有消息映射（当 Topic 被删除时）
  */
-export async function cleanupTopicMessages(superGroupChatId, topicId) {
-  const kvStore = getKvStore();
+export async function cleanupTopicMessages(kvStore, superGroupChatId, topicId) {
   if (!kvStore) return;
-  
+
   try {
-    const mappings = await loadMappingsFromKV(kvStore, superGroupChatId);
-    const before = mappings.length;
-    const filtered = mappings.filter(m => m.topicId !== topicId);
-    await saveMappingsToKV(kvStore, superGroupChatId, filtered);
-    console.log('Cleaned up', before - filtered.length, 'message mappings for Topic', topicId);
+    const removed = await deleteMessageMappingsByTopics(kvStore, superGroupChatId, [topicId]);
+    console.log('Cleaned up', removed, 'message mapping keys for Topic', topicId);
   } catch (err) {
     console.error('cleanupTopicMessages error', err);
   }
@@ -0,0 +1,192 @@
+/**
+ * 元数据仓库
+ * - 每个 Update 加载一次，由各处理模块共享
+ * - 存储后端为唯一数据源：`binding:<ownerUid>` 记录绑定的超级群，`topics:<groupId>` 记录 Topic 映射
+ * - Owner 私聊置顶消息仅由 Schema 迁移导入一次（可选开启备份写入）；未配置存储后端时仍以置顶消息保存
+ */
+
+import {
+  addMessageMapping,
+  cleanupTopicMessages,
+  createEmptyMetadata,
+  findPmMessageId,
+  findTopicMessageId,
+  findTopicsByUser,
+  importMessageMappingsKV,
+  listMessageMappings,
+  listProfilesKV,
+  loadBindingFromKV,
+  loadMetadata,
+  loadProfileFromKV,
+  loadTopicMappingFromKV,
+  moveGroupDataKV,
+  parseMetaDataMessage,
+  saveBindingToKV,
+  saveMetadataBackup,
+  saveProfileToKV,
+  saveTopicMappingToKV
+} from './metadataManager.js';
+import { migrateSchema } from './schemaMigrations.js';
+
+/**
+ * 加载元数据仓库
+ * @param {object} options - 通常直接传入 Bot 上下文（createBotContext）
+ * @param {object|null} options.storage - 当前租户的存储后端，为空时以置顶消息保存
+ * @param {string} options.botToken - Bot Token
+ * @param {string|number} options.ownerUid - 机器人所有者
+ * @param {boolean} [options.pinnedBackup=false] - 是否同步写入置顶消息备份（无存储后端时强制写入）
+ * @param {function} [options.setBoundGroup] - 绑定变化时的回调，用于同步注册表
+ */
+export async function loadMetadataRepository({ storage, botToken, ownerUid, pinnedBackup = false, setBoundGroup }) {
+  const kvStore = storage || null;
+  let metaMessage = null;
+  let metaData = null;
+  let source = 'empty';
+
+  if (kvStore) {
+    // 旧格式数据（含置顶消息）由迁移导入存储后端
+    await migrateSchema({ storage: kvStore, botToken, ownerUid });
+    const boundGroupId = await loadBindingFromKV(kvStore, ownerUid);
+    if (boundGroupId) {
+      metaData = await loadTopicMappingFromKV(kvStore, boundGroupId) || createEmptyMetadata(boundGroupId);
+      source = 'kv';
+    }
+  } else {
+    metaMessage = await loadMetadata(botToken, ownerUid);
+    if (metaMessage?.text) {
+      metaData = parseMetaDataMessage(metaMessage);
+      source = 'pinned';
+    }
+  }
+
+  const repository = {
+    metaData: metaData || createEmptyMetadata(),
+
+    // 当前租户的存储后端，供需要直接读写的模块使用
+    get storage() {
+      return kvStore;
+    },
+
+    get metaMessage() {
+      return metaMessage;
+    },
+
+    // 数据来源：kv / pinned / empty
+    get source() {
+      return source;
+    },
+
+    isInitialized() {
+      return source !== 'empty';
+    },
+
+    /**
+     * 保存元数据
+     * @param {function} [mutation] - 对元数据的增量修改，须幂等；
+     *   会在 KV 最新数据上重放，避免并发更新互相覆盖，结果回写到 metaData
+     */
+    async save(mutation) {
+      const data = repository.metaData;
+      if (kvStore && data.superGroupChatId) {
+        const merged = await saveTopicMappingToKV(kvStore, data.superGroupChatId, data, mutation);
+        Object.assign(data, merged);
+      } else if (mutation) {
+        mutation(data);
+      }
+
+      if (!kvStore || pinnedBackup) {
+        metaMessage = await saveMetadataBackup(botToken, ownerUid, metaMessage, data);
+      }
+      return data;
+    },
+
+    /**
+     * 绑定超级群
+     * @param {boolean} [reset=false] - 是否清空该群已有的 Topic 映射
+     */
+    async bind(superGroupChatId, reset = false) {
+      const stored = reset ? null : await loadTopicMappingFromKV(kvStore, superGroupChatId);
+      repository.metaData = stored || createEmptyMetadata(superGroupChatId);
+      if (kvStore) {
+        await saveTopicMappingToKV(kvStore, superGroupChatId, repository.metaData);
+        await saveBindingToKV(kvStore, ownerUid, superGroupChatId);
+      }
+      if (setBoundGroup) await setBoundGroup(superGroupChatId);
+      source = kvStore ? 'kv' : 'pinned';
+      if (!kvStore || pinnedBackup) {
+        metaMessage = await saveMetadataBackup(botToken, ownerUid, metaMessage, repository.metaData);
+      }
+      return repository.metaData;
+    },
+
+    /**
+     * 超级群 ID 变化（群组升级迁移）：数据整体转移到新 ID 并重新绑定
+     * @returns {Promise<number>} 转移的消息映射 key 数量
+     */
+    async rebind(superGroupChatId) {
+      const moved = await moveGroupDataKV(kvStore, repository.metaData.superGroupChatId, superGroupChatId);
+      repository.metaData.superGroupChatId = superGroupChatId;
+      await saveBindingToKV(kvStore, ownerUid, superGroupChatId);
+      if (setBoundGroup) await setBoundGroup(superGroupChatId);
+      if (!kvStore || pinnedBackup) {
+        metaMessage = await saveMetadataBackup(botToken, ownerUid, metaMessage, repository.metaData);
+      }
+      return moved;
+    },
+
+    // 解除绑定，仅清除绑定关系，Topic 映射保留在 KV 中
+    async unbind() {
+      await saveBindingToKV(kvStore, ownerUid, null);
+      if (setBoundGroup) await setBoundGroup(null);
+      repository.metaData = createEmptyMetadata();
+      metaMessage = null;
+      source = 'empty';
+    },
+
+    findTopicMessageId(pmMessageId) {
+      return findTopicMessageId(kvStore, botToken, repository.metaData.superGroupChatId, pmMessageId);
+    },
+
+    findPmMessageId(topicMessageId) {
+      return findPmMessageId(kvStore, botToken, repository.metaData.superGroupChatId, topicMessageId);
+    },
+
+    addMessageMapping(topicId, topicMessageId, pmMessageId) {
+      return addMessageMapping(kvStore, botToken, repository.metaData.superGroupChatId, topicId, topicMessageId, pmMessageId);
+    },
+
+    listMessageMappings() {
+      return listMessageMappings(kvStore, botToken, repository.metaData.superGroupChatId);
+    },
+
+    // 批量导入消息映射（仅存储后端），已存在的保持不变
+    importMessageMappings(entries) {
+      if (!kvStore) return 0;
+      return importMessageMappingsKV(kvStore, repository.metaData.superGroupChatId, entries);
+    },
+
+    cleanupTopicMessages(topicId) {
+      return cleanupTopicMessages(kvStore, repository.metaData.superGroupChatId, topicId);
+    },
+
+    // 用户资料（资料卡），未配置存储后端时不保存
+    loadProfile(fromChatId) {
+      return loadProfileFromKV(kvStore, repository.metaData.superGroupChatId, fromChatId);
+    },
+
+    saveProfile(fromChatId, profile) {
+      return saveProfileToKV(kvStore, repository.metaData.superGroupChatId, fromChatId, profile);
+    },
+
+    listProfiles() {
+      return listProfilesKV(kvStore, repository.metaData.superGroupChatId);
+    },
+
+    // 跨超级群查询用户的全部 Topic
+    findTopicsByUser(fromChatId) {
+      return findTopicsByUser(kvStore, fromChatId);
+    }
+  };
+
+  return repository;
+}
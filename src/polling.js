@@ -0,0 +1,106 @@
+/**
+ * Fivegram - 长轮询模式
+ * 适用于本地开发或没有公网 HTTPS 的主机：通过 getUpdates 拉取更新，处理流程与 Webhook 一致
+ *
+ * 环境变量：
+ * - OWNER_UID / BOT_TOKEN：必填，启动时注册到 Bot 注册表（Webhook 模式下由 /install 注册）
+ * - STORAGE_BACKEND / STORAGE_PATH / PINNED_BACKUP / TELEGRAM_API_BASE：同 Node.js 自托管入口
+ */
+
+import { pathToFileURL } from 'node:url';
+import { allowedUpdates, callTelegramApi, setTelegramClient } from './core.js';
+import { handleUpdate } from './messageHandler.js';
+import { createNodeStorage } from './server.js';
+import { createBotContext, getBotId, registerBot } from './botRegistry.js';
+
+const POLLING_TIMEOUT = 30;  // getUpdates 长轮询秒数
+const RETRY_DELAY = 5000;  // 请求失败后的等待毫秒数
+
+function getOffsetKey(botToken) {
+  // 仅使用 Bot ID 部分，避免 Token 落盘
+  return `polling:offset:${getBotId(botToken)}`;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * 启动长轮询
+ * - 先删除 Webhook，两种模式自动切换（重新 /install 即切回 Webhook）
+ * - 每处理完一条 Update 即记录 offset，停止时写入存储，重启后不会重复处理
+ * @returns {{ stop: function, done: Promise<void> }}
+ */
+export async function startPolling(env = process.env) {
+  const botToken = env.BOT_TOKEN;
+  const ownerUid = env.OWNER_UID;
+  if (!botToken || !ownerUid) {
+    throw new Error('长轮询模式需要设置 BOT_TOKEN 与 OWNER_UID');
+  }
+
+  if (env.TELEGRAM_API_BASE) setTelegramClient({ apiBase: env.TELEGRAM_API_BASE });
+  const storage = await createNodeStorage(env);
+  const pinnedBackup = env.PINNED_BACKUP === 'true';
+  const bot = await registerBot(storage, { botToken, ownerUid });
+  const botContext = createBotContext(bot, { storage, pinnedBackup });
+  const offsetKey = getOffsetKey(botToken);
+  let offset = Number(await storage.get(offsetKey)) || 0;
+  let running = true;
+
+  const dropResp = await callTelegramApi(botToken, 'deleteWebhook', {}, { context: '切换到长轮询' });
+  if (!dropResp.ok) {
+    throw new Error(`删除 Webhook 失败: ${dropResp.description}`);
+  }
+  console.log('Webhook removed, polling updates from offset', offset);
+
+  const done = (async () => {
+    while (running) {
+      const resp = await callTelegramApi(botToken, 'getUpdates', {
+        offset,
+        timeout: POLLING_TIMEOUT,
+        allowed_updates: allowedUpdates
+      }, { context: '长轮询' });
+
+      if (!resp.ok) {
+        console.error('getUpdates failed', resp.description);
+        // 409：Webhook 被重新设置，再次删除后继续轮询
+        if (resp.error_code === 409) {
+          await callTelegramApi(botToken, 'deleteWebhook', {}, { context: '切换到长轮询' });
+        }
+        await sleep(RETRY_DELAY);
+        continue;
+      }
+
+      for (const update of resp.result || []) {
+        try {
+          await handleUpdate(update, botContext);
+        } catch (err) {
+          console.error('handleUpdate error', update.update_id, err);
+        }
+        offset = update.update_id + 1;
+        await storage.put(offsetKey, String(offset));
+        if (!running) break;
+      }
+    }
+  })();
+
+  return {
+    // 当前这一轮 getUpdates 返回后停止
+    async stop() {
+      running = false;
+      await done;
+      await storage.flush?.();
+    },
+    done
+  };
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startPolling().then((poller) => {
+    process.once('SIGINT', () => {
+      console.log('Stopping polling...');
+      poller.stop().then(() => process.exit(0));
+    });
+  }).catch((err) => {
+    console.error('Failed to start polling', err);
+    process.exit(1);
+  });
+}
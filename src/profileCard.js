@@ -0,0 +1,208 @@
+/**
+ * 用户资料卡
+ * - 新建 Topic 时发送并置顶，展示用户 ID、姓名、用户名、语言、Premium、资料链接、头像与首次出现时间
+ * - 资料保存在 `profile:<groupId>:<fromChatId>`，姓名或用户名变化时原地更新资料卡并同步 Topic 名称
+ * - 曾用名记录在资料的 nameHistory 中，显示在资料卡上，变更时在 Topic 内提示
+ * - 备注名（/alias）与备注（/note）同样显示在资料卡上，见 userNotes.js
+ * - 未配置存储后端时只在创建 Topic 时发送，不置顶（超级群置顶消息用于保存消息映射），之后不再更新
+ */
+
+import { callTelegramApi } from './core.js';
+import { buildTopicName, formatHumanTime } from './topicHandler.js';
+
+const NAME_HISTORY_LIMIT = 20;  // 保留的曾用名条数
+const NAME_HISTORY_ON_CARD = 5;  // 资料卡上显示的曾用名条数
+const CAPTION_LIMIT = 1024;  // 带头像的资料卡为图片说明，长度上限低于普通消息
+const TEXT_LIMIT = 4096;
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// 从私聊消息中读取用户当前的身份信息
+function readIdentity(message) {
+  const user = message.from || message.chat;
+  return {
+    name: [user.first_name, user.last_name].filter(Boolean).join(' '),
+    username: user.username || null,
+    languageCode: user.language_code || null,
+    isPremium: Boolean(user.is_premium)
+  };
+}
+
+// 曾用名显示为「姓名 @用户名」
+function formatIdentity({ name, username }) {
+  return [name, username && `@${username}`].filter(Boolean).join(' ') || '-';
+}
+
+/**
+ * 生成资料卡内容（HTML）
+ * - 超出长度上限时从最早的备注开始省略
+ * @param {string} [alias] - 备注名
+ * @param {number} [limit] - 长度上限
+ */
+export function buildProfileCard(fromChatId, profile, alias, limit = TEXT_LIMIT) {
+  const lines = [
+    '👤 <b>用户资料</b>',
+    `ID：<code>${fromChatId}</code>`,
+    ...(alias ? [`备注名：${escapeHtml(alias)}`] : []),
+    `姓名：${escapeHtml(profile.name || '-')}`,
+    `用户名：${profile.username ? `@${escapeHtml(profile.username)}` : '-'}`,
+    `语言：${escapeHtml(profile.languageCode || '-')}`,
+    `Premium：${profile.isPremium ? '是' : '否'}`,
+    `链接：<a href="tg://user?id=${fromChatId}">打开用户资料</a>`,
+    `首次出现：${profile.firstSeen ? formatHumanTime(profile.firstSeen) : '-'}`
+  ];
+  const history = profile.nameHistory || [];
+  if (history.length > 0) {
+    lines.push('', '🕘 <b>曾用名</b>（更名时间）');
+    for (const entry of history.slice(-NAME_HISTORY_ON_CARD).reverse()) {
+      lines.push(`${formatHumanTime(entry.changedAt)}　${escapeHtml(formatIdentity(entry))}`);
+    }
+  }
+
+  const notes = profile.notes || [];
+  if (notes.length === 0) return lines.join('\n');
+  lines.push('', `📝 <b>备注</b>（共 ${notes.length} 条，/notes 查看全部）`);
+  const noteLines = notes.map((note) => `· ${escapeHtml(note.text)}`);
+  while (noteLines.length > 0 && [...lines, ...noteLines].join('\n').length > limit) {
+    noteLines.shift();
+  }
+  return [...lines, ...noteLines].join('\n');
+}
+
+// 资料卡当前对应的备注名
+function getAlias(repository, fromChatId) {
+  return repository.metaData.fromChatToComment.get(fromChatId);
+}
+
+// 用户头像（最大尺寸）的 file_id；隐私设置不公开头像时返回 null
+async function getProfilePhotoId(botToken, userId) {
+  const resp = await callTelegramApi(botToken, 'getUserProfilePhotos', { user_id: userId, limit: 1 }, {
+    context: '读取用户头像'
+  });
+  const sizes = resp.result?.photos?.[0];
+  return sizes?.length ? sizes[sizes.length - 1].file_id : null;
+}
+
+/**
+ * 在新建的 Topic 中发送并置顶资料卡
+ * - 失败不影响消息转发，仅记录日志（接口错误由 callTelegramApi 上报 Owner）
+ */
+export async function postProfileCard(botToken, ownerUid, repository, topicId, message) {
+  const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { superGroupChatId } = repository.metaData;
+  const fromChatId = message.chat.id;
+  try {
+    // Topic 失效后重建时沿用之前的首次出现时间
+    const previous = await repository.loadProfile(fromChatId);
+    const profile = { ...previous, ...readIdentity(message), firstSeen: previous?.firstSeen || message.date };
+    const alias = getAlias(repository, fromChatId);
+    const photoId = await getProfilePhotoId(botToken, message.from?.id || fromChatId);
+    const target = { chat_id: superGroupChatId, message_thread_id: topicId, parse_mode: 'HTML' };
+    const resp = photoId
+      ? await safeCall('sendPhoto', {
+        ...target,
+        photo: photoId,
+        caption: buildProfileCard(fromChatId, profile, alias, CAPTION_LIMIT)
+      }, '发送资料卡')
+      : await safeCall('sendMessage', { ...target, text: buildProfileCard(fromChatId, profile, alias) }, '发送资料卡');
+
+    profile.card = null;
+    if (resp.ok && repository.storage) {
+      profile.card = { topicId, messageId: resp.result.message_id, photo: Boolean(photoId) };
+      await safeCall('pinChatMessage', {
+        chat_id: superGroupChatId,
+        message_id: resp.result.message_id,
+        disable_notification: true
+      }, '置顶资料卡');
+    }
+    await repository.saveProfile(fromChatId, profile);
+  } catch (err) {
+    console.error('postProfileCard error', err);
+  }
+}
+
+/**
+ * 按已保存的资料原地更新资料卡
+ * - 资料卡不在用户当前的 Topic 中（如 Topic 重建前发送的）时跳过
+ * @returns {Promise<boolean>} 是否更新成功
+ */
+export async function refreshProfileCard(botToken, repository, fromChatId, profile) {
+  const { metaData } = repository;
+  const { card } = profile;
+  if (!card || metaData.fromChatToTopic.get(fromChatId) !== card.topicId) return false;
+
+  const alias = getAlias(repository, fromChatId);
+  const target = { chat_id: metaData.superGroupChatId, message_id: card.messageId, parse_mode: 'HTML' };
+  // 资料卡可能已被手动删除，更新失败属于预期情况，不上报 Owner
+  const resp = card.photo
+    ? await callTelegramApi(botToken, 'editMessageCaption', {
+      ...target,
+      caption: buildProfileCard(fromChatId, profile, alias, CAPTION_LIMIT)
+    }, { context: '更新资料卡' })
+    : await callTelegramApi(botToken, 'editMessageText', {
+      ...target,
+      text: buildProfileCard(fromChatId, profile, alias)
+    }, { context: '更新资料卡' });
+  if (!resp.ok && !resp.description?.includes('message is not modified')) {
+    console.warn('refreshProfileCard failed', fromChatId, resp.description);
+    return false;
+  }
+  return true;
+}
+
+// 用户更名后同步 Topic 名称，并在 Topic 内提示新旧名称
+// - Topic 名称优先使用用户名，只改姓名时名称不变；名称相同时 editForumTopic 会返回 TOPIC_NOT_MODIFIED，不调用
+async function announceRename(botToken, ownerUid, repository, message, previous) {
+  const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { metaData } = repository;
+  const fromChatId = message.chat.id;
+  const topicId = metaData.fromChatToTopic.get(fromChatId);
+  if (!topicId) return;
+
+  const alias = getAlias(repository, fromChatId);
+  const name = buildTopicName(message, fromChatId, alias);
+  const previousMessage = {
+    chat: { id: fromChatId, first_name: previous.name, username: previous.username },
+    from: message.from
+  };
+  if (name !== buildTopicName(previousMessage, fromChatId, alias)) {
+    await safeCall('editForumTopic', {
+      chat_id: metaData.superGroupChatId,
+      message_thread_id: topicId,
+      name
+    }, '同步 Topic 名称');
+  }
+  await safeCall('sendMessage', {
+    chat_id: metaData.superGroupChatId,
+    message_thread_id: topicId,
+    text: `✏️ 用户已更名：${formatIdentity(previous)} → ${formatIdentity(readIdentity(message))}`
+  }, '更名提示');
+}
+
+/**
+ * 私聊消息到达时与已保存的身份比对
+ * - 姓名或用户名变化时记录曾用名、同步 Topic 名称并更新资料卡
+ * - 早于资料卡功能创建的 Topic 没有资料记录，首次比对时只记录当前身份
+ * - 未配置存储后端时无法保存上次的身份，不做比对
+ */
+export async function syncProfile(botToken, ownerUid, repository, message) {
+  if (!repository.storage) return;
+  const fromChatId = message.chat.id;
+  const identity = readIdentity(message);
+  const profile = await repository.loadProfile(fromChatId);
+  // 没有资料记录，或只有 /note 写入的备注
+  if (profile?.name === undefined) {
+    await repository.saveProfile(fromChatId, { card: null, ...profile, ...identity, firstSeen: message.date });
+    return;
+  }
+  if (profile.name === identity.name && profile.username === identity.username) return;
+
+  const previous = { name: profile.name, username: profile.username };
+  profile.nameHistory = [...(profile.nameHistory || []), { ...previous, changedAt: message.date }].slice(-NAME_HISTORY_LIMIT);
+  Object.assign(profile, identity);
+  await repository.saveProfile(fromChatId, profile);
+  await announceRename(botToken, ownerUid, repository, message, previous);
+  await refreshProfileCard(botToken, repository, fromChatId, profile);
+}
@@ -0,0 +1,105 @@
+/**
+ * Telegram 限流与重试策略
+ * - 按方法配置重试次数与退避，429 时遵循 parameters.retry_after
+ * - 发送类方法按全局 / 单聊天令牌桶节流：允许短时突发，持续发送时再按平均速率排队
+ * - 收到 429 后同一聊天的后续发送一并等待 retry_after，避免并发请求继续撞限
+ */
+
+// capacity：可突发的条数；interval：补充一个令牌的毫秒数
+const GLOBAL_BUCKET = { capacity: 30, interval: 34 };  // 全局约 30 条/秒
+const PRIVATE_CHAT_BUCKET = { capacity: 3, interval: 1000 };  // 单个私聊约 1 条/秒
+const GROUP_CHAT_BUCKET = { capacity: 20, interval: 3000 };  // 单个群组约 20 条/分钟，空闲后可连发 20 条
+
+const DEFAULT_RETRY_POLICY = { retries: 2, baseDelay: 500, maxDelay: 10000 };
+
+// 按方法配置的重试策略，未列出的方法使用默认策略
+const RETRY_POLICIES = {
+  sendMessage: { retries: 4, baseDelay: 500, maxDelay: 30000 },
+  copyMessage: { retries: 4, baseDelay: 500, maxDelay: 30000 },
+  copyMessages: { retries: 4, baseDelay: 500, maxDelay: 30000 },
+  sendDocument: { retries: 3, baseDelay: 1000, maxDelay: 30000 },
+  editMessageText: { retries: 2, baseDelay: 500, maxDelay: 10000 },
+  createForumTopic: { retries: 3, baseDelay: 1000, maxDelay: 30000 },
+  // 表情状态提示失败无关紧要，快速放弃
+  setMessageReaction: { retries: 0, baseDelay: 0, maxDelay: 0 },
+  // 长轮询由调用方自行重试
+  getUpdates: { retries: 0, baseDelay: 0, maxDelay: 0 }
+};
+
+// 需要节流的发送类方法
+const SEND_METHODS = new Set([
+  'sendMessage',
+  'copyMessage',
+  'copyMessages',
+  'forwardMessage',
+  'sendDocument',
+  'sendPhoto',
+  'sendMediaGroup'
+]);
+
+const buckets = new Map();  // 节流 key → { tokens, updatedAt, blockedUntil }
+
+// 取一个令牌，返回需要等待的毫秒数；令牌为负表示已有请求在排队
+function takeToken(key, { capacity, interval }, now) {
+  const bucket = buckets.get(key) || { tokens: capacity, updatedAt: now, blockedUntil: 0 };
+  bucket.tokens = Math.min(capacity, bucket.tokens + (now - bucket.updatedAt) / interval) - 1;
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+  const wait = bucket.tokens < 0 ? -bucket.tokens * interval : 0;
+  return Math.max(wait, bucket.blockedUntil - now);
+}
+
+export const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export function getRetryPolicy(method) {
+  return RETRY_POLICIES[method] || DEFAULT_RETRY_POLICY;
+}
+
+/**
+ * 发送类方法按全局与目标聊天排队，必要时等待
+ */
+export async function paceRequest(method, body) {
+  if (!SEND_METHODS.has(method)) return;
+  const now = Date.now();
+  const chatId = body?.chat_id;
+  const chatBucket = Number(chatId) > 0 ? PRIVATE_CHAT_BUCKET : GROUP_CHAT_BUCKET;
+  const waits = [takeToken('global', GLOBAL_BUCKET, now)];
+  if (chatId !== undefined) waits.push(takeToken(`chat:${chatId}`, chatBucket, now));
+  const wait = Math.max(...waits);
+  if (wait > 0) await sleep(wait);
+}
+
+/**
+ * 记录 429：目标聊天在 retry_after 内暂停发送
+ * @param {object} data - Telegram 返回体
+ */
+export function recordRateLimit(method, body, data) {
+  const chatId = body?.chat_id;
+  if (!SEND_METHODS.has(method) || chatId === undefined || data?.error_code !== 429) return;
+  const bucket = buckets.get(`chat:${chatId}`);
+  if (!bucket) return;
+  const until = Date.now() + (data.parameters?.retry_after || 1) * 1000;
+  bucket.blockedUntil = Math.max(bucket.blockedUntil, until);
+}
+
+/**
+ * 计算下一次重试前的等待毫秒数，不可重试时返回 null
+ * @param {object} policy - getRetryPolicy 返回的策略
+ * @param {number} attempt - 已失败的次数（从 0 开始）
+ * @param {object|null} data - Telegram 返回体；网络异常时为 null
+ */
+export function getRetryDelay(policy, attempt, data) {
+  if (attempt >= policy.retries) return null;
+
+  if (data?.error_code === 429) {
+    const retryAfter = (data.parameters?.retry_after || 1) * 1000;
+    return retryAfter <= policy.maxDelay ? retryAfter : null;
+  }
+
+  // 网络异常或 5xx 视为临时错误，指数退避并加入抖动
+  if (!data || data.error_code >= 500) {
+    const backoff = policy.baseDelay * 2 ** attempt;
+    return Math.min(backoff + Math.random() * policy.baseDelay, policy.maxDelay);
+  }
+  return null;
+}
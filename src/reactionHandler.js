@@ -1,55 +1,57 @@
 /**
  * Emoji Reaction 同步处理
  * - 支持私聊与超级群 Topic 之间的表情双向同步
- * - 使用超级群置顶消息记录消息 ID 映射关系
+ * - 通过元数据仓库查找消息 ID 映射关系
  */
 
 import { isTopicBanned } from './banManager.js';
 import { callTelegramApi } from './core.js';
-import { findPmMessageId, findTopicMessageId } from './metadataManager.js';
 
 /**
  * 处理 message_reaction update
  * @param {string} botToken
  * @param {number} ownerUid
  * @param {object} messageReaction - update.message_reaction
- * @param {object} metaData - 解析后的元数据
+ * @param {object} repository - 元数据仓库
  */
-export async function processMessageReaction(botToken, ownerUid, messageReaction, metaData) {
+export async function processMessageReaction(botToken, ownerUid, messageReaction, repository) {
+  const { metaData } = repository;
   const fromChat = messageReaction.chat;
   const fromUser = messageReaction.user;
 
   // 判断是 owner 还是用户的 reaction
   if (fromUser.id === ownerUid && fromChat.id === metaData.superGroupChatId && fromChat.is_forum) {
     // Owner 在 supergroup 点击 emoji → 转发给用户
-    await processOwnerReaction(botToken, messageReaction, metaData);
+    await processOwnerReaction(botToken, messageReaction, repository);
   } else {
     // 用户点击 emoji → 转发到 topic
     const topicId = metaData.fromChatToTopic.get(fromChat.id);
     if (!topicId) return; // 用户未初始化
     if (isTopicBanned(metaData, topicId)) return; // 被 ban 的不转发
 
-    await processUserReaction(botToken, ownerUid, messageReaction, metaData);
+    await processUserReaction(botToken, ownerUid, messageReaction, repository);
   }
 }
 
-async function processUserReaction(botToken, ownerUid, messageReaction, metaData) {
+async function processUserReaction(botToken, ownerUid, messageReaction, repository) {
+  const { metaData } = repository;
   const pmMessageId = messageReaction.message_id;
-  const { topicId, topicMessageId } = await findTopicMessageId(botToken, metaData.superGroupChatId, pmMessageId);
+  const { topicId, topicMessageId } = await repository.findTopicMessageId(pmMessageId);
   if (!topicMessageId || !topicId) return;
 
   // 同步用户侧的 reaction 到超级群对应话题消息
   await setMessageReaction(botToken, metaData.superGroupChatId, topicMessageId, messageReaction.new_reaction || []);
 }
 
-async function processOwnerReaction(botToken, messageReaction, metaData) {
+async function processOwnerReaction(botToken, messageReaction, repository) {
+  const { metaData } = repository;
   const topicId = messageReaction.message_thread_id;
   if (!topicId) return;
 
   const targetChatId = metaData.topicToFromChat.get(topicId);
   if (!targetChatId) return;
 
-  const { pmMessageId } = await findPmMessageId(botToken, metaData.superGroupChatId, messageReaction.message_id);
+  const { pmMessageId } = await repository.findPmMessageId(messageReaction.message_id);
   if (!pmMessageId) return;
 
   // 同步 Owner 在话题中的 reaction 到用户私聊
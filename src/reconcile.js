@@ -0,0 +1,245 @@
+/**
+ * 元数据对账
+ * - 遍历 topicToFromChat，探测已删除或已关闭的 Topic
+ * - 找出同一用户对应多个 Topic 的重复映射
+ * - 找出指向已移除 Topic 的消息映射（cleanupTopicMessages 的批量版本）
+ * - 先生成差异清单，Owner 确认后才执行修复；/reconcile 命令与定时任务共用
+ */
+
+import { callTelegramApi } from './core.js';
+import { createBotContext, listBots } from './botRegistry.js';
+import { loadMetadataRepository } from './metadataRepository.js';
+import { buildConfirmationKeyboard, createConfirmation } from './confirmations.js';
+import { countMessageMappingsByTopic, deleteMessageMappingsByTopics, removeMapping } from './metadataManager.js';
+
+// 单次最多探测的 Topic 数量，避免超出 Worker 单次调用的子请求上限；其余 Topic 下次继续
+const PROBE_LIMIT = 40;
+const SCHEDULED_CONFIRMATION_TTL = 60 * 60 * 24;  // 定时任务发出的确认按钮 24 小时内有效
+const CURSOR_KEY = 'reconcile:cursor';
+const NOTIFIED_KEY = 'reconcile:notified';
+
+/**
+ * 通过 sendChatAction 探测 Topic 状态（不会产生消息）
+ * @returns {Promise<'ok'|'deleted'|'closed'|'unknown'>}
+ */
+async function probeTopic(botToken, superGroupChatId, topicId) {
+  const resp = await callTelegramApi(botToken, 'sendChatAction', {
+    chat_id: superGroupChatId,
+    message_thread_id: topicId,
+    action: 'typing'
+  }, { context: '对账探测 Topic' });
+  if (resp.ok) return 'ok';
+  const description = resp.description || '';
+  if (/message thread not found|TOPIC_ID_INVALID|TOPIC_DELETED/i.test(description)) return 'deleted';
+  if (/TOPIC_CLOSED/i.test(description)) return 'closed';
+  return 'unknown';
+}
+
+// 按 Topic ID 轮转探测，从上次停下的位置继续
+async function pickTopicsToProbe(storage, topicIds) {
+  const sorted = [...topicIds].sort((a, b) => a - b);
+  if (sorted.length <= PROBE_LIMIT) return { topicIds: sorted, nextCursor: null };
+
+  const cursor = storage ? Number(await storage.get(CURSOR_KEY)) || 0 : 0;
+  const start = sorted.findIndex((topicId) => topicId > cursor);
+  const rotated = start > 0 ? [...sorted.slice(start), ...sorted.slice(0, start)] : sorted;
+  const picked = rotated.slice(0, PROBE_LIMIT);
+  return { topicIds: picked, nextCursor: picked[picked.length - 1] };
+}
+
+/**
+ * 生成对账差异清单
+ * @returns {Promise<object>} { superGroupChatId, checked, total, deadTopics, duplicateTopics, orphanTopics }
+ */
+export async function findReconcileIssues(botToken, repository) {
+  const { metaData, storage } = repository;
+  const superGroupChatId = metaData.superGroupChatId;
+
+  // 同一用户对应多个 Topic：保留 fromChatToTopic 指向的那个
+  const duplicateTopics = [];
+  for (const [topicId, fromChatId] of metaData.topicToFromChat) {
+    const keepTopicId = metaData.fromChatToTopic.get(fromChatId);
+    if (keepTopicId !== undefined && keepTopicId !== topicId) {
+      duplicateTopics.push({ topicId, fromChatId, keepTopicId });
+    }
+  }
+
+  // 重复的 Topic 会被整体移除，无需再探测
+  const duplicateTopicIds = new Set(duplicateTopics.map(({ topicId }) => topicId));
+  const candidates = [...metaData.topicToFromChat.keys()].filter((topicId) => !duplicateTopicIds.has(topicId));
+  const { topicIds, nextCursor } = await pickTopicsToProbe(storage, candidates);
+  const deadTopics = [];
+  for (const topicId of topicIds) {
+    const state = await probeTopic(botToken, superGroupChatId, topicId);
+    if (state === 'deleted' || state === 'closed') {
+      deadTopics.push({ topicId, fromChatId: metaData.topicToFromChat.get(topicId), state });
+    }
+  }
+  if (storage && nextCursor !== null) await storage.put(CURSOR_KEY, String(nextCursor));
+
+  // 消息映射指向的 Topic 已不在映射表中，或本次确认已删除
+  const deletedTopicIds = new Set(deadTopics.filter((t) => t.state === 'deleted').map((t) => t.topicId));
+  const orphanTopics = [];
+  const counts = await countMessageMappingsByTopic(storage, superGroupChatId);
+  for (const [topicId, count] of counts) {
+    if (!metaData.topicToFromChat.has(topicId) || deletedTopicIds.has(topicId)) {
+      orphanTopics.push({ topicId, count });
+    }
+  }
+
+  return {
+    superGroupChatId,
+    checked: topicIds.length,
+    total: candidates.length,
+    deadTopics,
+    duplicateTopics,
+    orphanTopics
+  };
+}
+
+export function isPlanEmpty(plan) {
+  return plan.deadTopics.length === 0 && plan.duplicateTopics.length === 0 && plan.orphanTopics.length === 0;
+}
+
+/**
+ * 将差异清单格式化为聊天文本
+ */
+export function formatReconcilePlan(plan) {
+  const lines = [`🔍 对账结果（超级群 ${plan.superGroupChatId}，已检查 Topic ${plan.checked}/${plan.total}）`];
+  if (isPlanEmpty(plan)) {
+    lines.push('未发现问题。');
+    return lines.join('\n');
+  }
+  for (const { topicId, fromChatId, state } of plan.deadTopics) {
+    lines.push(state === 'deleted'
+      ? `- Topic ${topicId}（用户 ${fromChatId}）已被删除 → 移除映射`
+      : `- Topic ${topicId}（用户 ${fromChatId}）已关闭 → 重新打开`);
+  }
+  for (const { topicId, fromChatId, keepTopicId } of plan.duplicateTopics) {
+    lines.push(`- 用户 ${fromChatId} 重复对应 Topic ${topicId} → 移除该映射，保留 Topic ${keepTopicId}`);
+  }
+  for (const { topicId, count } of plan.orphanTopics) {
+    lines.push(`- ${count} 条消息映射指向已移除的 Topic ${topicId} → 删除`);
+  }
+  return lines.join('\n');
+}
+
+// 只移除 Topic 一侧，用户仍指向另一个 Topic
+function removeTopicSide(data, topicId) {
+  data.topicToFromChat.delete(topicId);
+  data.topicToComment.delete(topicId);
+  const bannedIdx = data.bannedTopics.indexOf(topicId.toString());
+  if (bannedIdx >= 0) data.bannedTopics.splice(bannedIdx, 1);
+}
+
+/**
+ * 执行修复
+ * - 每一步都在最新数据上重新校验，确认期间发生的变化不会被覆盖
+ * @returns {Promise<{removedTopics: number, reopenedTopics: number, removedDuplicates: number, removedMessageKeys: number}>}
+ */
+export async function applyReconcilePlan(botToken, ownerUid, repository, plan) {
+  const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { superGroupChatId } = plan;
+  const result = { removedTopics: 0, reopenedTopics: 0, removedDuplicates: 0, removedMessageKeys: 0 };
+  if (repository.metaData.superGroupChatId !== superGroupChatId) return result;
+
+  const deleted = plan.deadTopics.filter((topic) => topic.state === 'deleted');
+  const duplicates = plan.duplicateTopics;
+  await repository.save((data) => {
+    for (const { topicId, fromChatId } of deleted) {
+      if (data.topicToFromChat.get(topicId) !== fromChatId) continue;
+      if (data.fromChatToTopic.get(fromChatId) === topicId) {
+        removeMapping(data, topicId);
+      } else {
+        removeTopicSide(data, topicId);
+      }
+    }
+    for (const { topicId, fromChatId } of duplicates) {
+      if (data.topicToFromChat.get(topicId) !== fromChatId || data.fromChatToTopic.get(fromChatId) === topicId) continue;
+      removeTopicSide(data, topicId);
+    }
+  });
+  const { metaData } = repository;
+  result.removedTopics = deleted.filter(({ topicId }) => !metaData.topicToFromChat.has(topicId)).length;
+  result.removedDuplicates = duplicates.filter(({ topicId }) => !metaData.topicToFromChat.has(topicId)).length;
+
+  for (const { topicId } of plan.deadTopics.filter((topic) => topic.state === 'closed')) {
+    const resp = await safeCall('reopenForumTopic', {
+      chat_id: superGroupChatId,
+      message_thread_id: topicId
+    }, '对账重新打开 Topic');
+    if (resp.ok) result.reopenedTopics += 1;
+  }
+
+  const orphanTopicIds = [...deleted, ...plan.orphanTopics]
+    .map(({ topicId }) => topicId)
+    .filter((topicId) => !metaData.topicToFromChat.has(topicId));
+  if (orphanTopicIds.length > 0) {
+    result.removedMessageKeys = await deleteMessageMappingsByTopics(repository.storage, superGroupChatId, orphanTopicIds);
+  }
+  return result;
+}
+
+export function formatReconcileResult(result) {
+  return [
+    '✅ 对账修复完成',
+    `移除失效 Topic 映射：${result.removedTopics}`,
+    `重新打开 Topic：${result.reopenedTopics}`,
+    `移除重复映射：${result.removedDuplicates}`,
+    `删除消息映射：${result.removedMessageKeys}`
+  ].join('\n');
+}
+
+/**
+ * 发送差异清单，有问题时附带确认按钮
+ * @param {object} target - 发送目标 { chat_id, message_thread_id? }
+ */
+export async function sendReconcilePlan(botToken, ownerUid, repository, plan, target, ttl) {
+  const payload = { ...target, text: formatReconcilePlan(plan) };
+  if (!isPlanEmpty(plan)) {
+    if (repository.storage) {
+      const id = await createConfirmation(repository.storage, 'reconcile', plan, ttl);
+      payload.reply_markup = buildConfirmationKeyboard(id, [{ text: '✅ 执行修复', choice: 'yes' }]);
+    } else {
+      payload.text += '\n\n⚠️ 未配置存储后端，无法保存待确认操作。';
+    }
+  }
+  return callTelegramApi(botToken, 'sendMessage', payload, { ownerUid, context: '对账结果' });
+}
+
+// 差异签名，相同问题只提醒一次
+function getPlanSignature(plan) {
+  return JSON.stringify([
+    plan.deadTopics.map(({ topicId, state }) => `${topicId}:${state}`),
+    plan.duplicateTopics.map(({ topicId }) => topicId),
+    plan.orphanTopics.map(({ topicId }) => topicId)
+  ]);
+}
+
+/**
+ * 定时对账：遍历注册表中的 Bot，发现新问题时私聊 Owner 请求确认
+ * @param {object} config - 部署配置（storage / pinnedBackup）
+ */
+export async function runScheduledReconcile(config) {
+  const bots = await listBots(config.storage);
+  for (const bot of bots) {
+    try {
+      const repository = await loadMetadataRepository(createBotContext(bot, config));
+      if (!repository.isInitialized()) continue;
+
+      const plan = await findReconcileIssues(bot.token, repository);
+      const signature = isPlanEmpty(plan) ? null : getPlanSignature(plan);
+      const notified = await repository.storage.get(NOTIFIED_KEY);
+      if (signature === notified || (!signature && !notified)) continue;
+
+      if (signature) {
+        await sendReconcilePlan(bot.token, bot.ownerUid, repository, plan, { chat_id: bot.ownerUid }, SCHEDULED_CONFIRMATION_TTL);
+        await repository.storage.put(NOTIFIED_KEY, signature);
+      } else {
+        await repository.storage.delete(NOTIFIED_KEY);
+      }
+    } catch (err) {
+      console.error('scheduled reconcile error', bot.botId, err);
+    }
+  }
+}
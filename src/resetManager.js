@@ -0,0 +1,90 @@
+/**
+ * 重置逻辑
+ * - 仅 Owner 可执行，执行前先把导出文件发送到 Owner 私聊
+ * - 通过 Inline 按钮选择范围：仅解除绑定 / 清空存储 / 清空存储并删除所有 Topic
+ */
+
+import { callTelegramApi } from './core.js';
+import { invalidateAdminCache } from './adminCache.js';
+import { deleteGroupDataKV } from './metadataManager.js';
+import { buildConfirmationKeyboard, createConfirmation } from './confirmations.js';
+import { sendBackupDocument } from './exportManager.js';
+
+export const RESET_CHOICES = [
+  { text: '🔓 仅解除绑定（保留数据）', choice: 'unbind' },
+  { text: '🧹 解除绑定并清空存储', choice: 'wipe' },
+  { text: '💣 清空存储并删除所有 Topic', choice: 'purge' }
+];
+
+/**
+ * 发送备份后请求 Owner 选择重置范围
+ * @param {object} target - 提示消息的发送目标 { chat_id, message_thread_id? }
+ */
+export async function requestReset(botToken, ownerUid, repository, target) {
+  const api = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { metaData } = repository;
+  if (!repository.storage) {
+    await api('sendMessage', { ...target, text: '⚠️ 未配置存储后端，无法保存待确认的重置操作。' }, '重置提示');
+    return;
+  }
+
+  const backupResp = await sendBackupDocument(botToken, ownerUid, repository, '♻️ 重置前的备份，可用 /import 回复此文件恢复');
+  if (!backupResp.ok) {
+    await api('sendMessage', { ...target, text: `❌ 备份文件发送失败，已取消重置：${backupResp.description}` }, '重置提示');
+    return;
+  }
+
+  const id = await createConfirmation(repository.storage, 'reset', { superGroupChatId: metaData.superGroupChatId });
+  await api('sendMessage', {
+    ...target,
+    text: [
+      `⚠️ 即将重置超级群 ${metaData.superGroupChatId} 的绑定（${metaData.topicToFromChat.size} 个 Topic 映射）`,
+      '备份文件已发送到私聊，请选择重置范围：',
+      '· 仅解除绑定：数据保留，之后在同一群 /init 可恢复',
+      '· 清空存储：删除 Topic 映射、拉黑列表与消息映射',
+      '· 删除所有 Topic：同时删除群内全部用户 Topic，不可恢复'
+    ].join('\n'),
+    reply_markup: buildConfirmationKeyboard(id, RESET_CHOICES)
+  }, '重置确认');
+}
+
+/**
+ * 执行重置
+ * @param {string} choice - unbind / wipe / purge
+ * @returns {Promise<string>} 结果说明
+ */
+export async function performReset(botToken, ownerUid, repository, { superGroupChatId }, choice) {
+  const api = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  if (repository.metaData.superGroupChatId !== superGroupChatId) {
+    return '⚠️ 绑定已变化，重置未执行。';
+  }
+
+  const lines = [];
+  if (choice === 'purge') {
+    let deleted = 0;
+    const failed = [];
+    for (const topicId of repository.metaData.topicToFromChat.keys()) {
+      const resp = await api('deleteForumTopic', {
+        chat_id: superGroupChatId,
+        message_thread_id: topicId
+      }, '重置删除 Topic');
+      if (resp.ok) deleted += 1;
+      else failed.push(topicId);
+    }
+    lines.push(`删除 Topic：${deleted}${failed.length ? `，失败 ${failed.length}（${failed.slice(0, 10).join(', ')}）` : ''}`);
+  }
+
+  if (choice === 'wipe' || choice === 'purge') {
+    const storage = repository.storage;
+    const removed = await deleteGroupDataKV(storage, superGroupChatId);
+    await invalidateAdminCache(storage, superGroupChatId);
+    lines.push(`删除消息映射：${removed}`);
+    // 清理 Owner 私聊与超级群的置顶，避免旧元数据被重新导入；仅解除绑定时保留置顶（包括用户资料卡）
+    await api('unpinAllChatMessages', { chat_id: ownerUid }, '重置清理置顶');
+    await api('unpinAllChatMessages', { chat_id: superGroupChatId }, '重置清理置顶');
+  }
+
+  await repository.unbind();
+
+  return ['✅ 已重置，请在超级群重新 /init', ...lines].join('\n');
+}
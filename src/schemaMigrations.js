@@ -0,0 +1,119 @@
+/**
+ * 元数据 Schema 版本与迁移
+ * - 存储后端中的 `schema:version` 记录当前租户数据的版本，加载元数据前按顺序执行未完成的迁移
+ * - 历史格式（版本 0，无版本标记）：
+ *   Owner 私聊置顶：`superGroupId;topicId:[b]fromChatId[:comment]`（见 parseMetadataText）
+ *   超级群置顶：`topicId-topicMessageId:pmMessageId;...`（见 parseMessageMappings）
+ *   KV `mapping:<groupId>`：[{ topicId, topicMessageId, pmMessageId }] 数组
+ * - 迁移须幂等：并发的 Update 可能同时执行同一迁移；失败时不推进版本，下次加载重试
+ * - 数据量大的迁移分批执行：up 返回 false 表示尚未完成，不推进版本，下次加载继续下一批，
+ *   避免单次调用超出 Worker 的子请求上限
+ * - 未配置存储后端时置顶消息即为数据源，不执行迁移
+ */
+
+import { callTelegramApi } from './core.js';
+import {
+  importMessageMappingsKV,
+  migrateNextLegacyMappingBatchKV,
+  loadBindingFromKV,
+  loadTopicMappingFromKV,
+  parseMessageMappings,
+  parseMetadataText,
+  saveBindingToKV,
+  saveTopicMappingToKV
+} from './metadataManager.js';
+
+const SCHEMA_VERSION_KEY = 'schema:version';
+
+// 读取置顶消息；限流或服务端错误时抛出，避免把「读取失败」当成「没有数据」而跳过迁移
+async function getPinnedText(botToken, chatId, context) {
+  const resp = await callTelegramApi(botToken, 'getChat', { chat_id: chatId }, { context });
+  if (!resp.ok && (resp.error_code === 429 || !resp.error_code || resp.error_code >= 500)) {
+    throw new Error(`getChat ${chatId} failed: ${resp.description}`);
+  }
+  // 其余错误（会话不存在、Bot 已被移出等）说明无法读取，视为没有历史数据
+  if (!resp.ok) return '';
+  return resp.result?.pinned_message?.text || '';
+}
+
+/**
+ * v1：置顶消息数据迁移到存储后端
+ * - Owner 私聊置顶 → `binding:<ownerUid>` 与 `topics:<groupId>`（存储中已有绑定时跳过）
+ * - 超级群置顶中的消息映射 → 待拆分数组，查找时逐批拆分为 `msg:` 单条 key（已存在的映射不覆盖）
+ */
+async function migratePinnedToStorage({ storage, botToken, ownerUid }) {
+  let superGroupChatId = await loadBindingFromKV(storage, ownerUid);
+  if (!superGroupChatId) {
+    const metaData = parseMetadataText(await getPinnedText(botToken, ownerUid, '迁移读取元数据置顶'));
+    superGroupChatId = metaData.superGroupChatId;
+    if (!superGroupChatId) return;
+    if (!await loadTopicMappingFromKV(storage, superGroupChatId)) {
+      await saveTopicMappingToKV(storage, superGroupChatId, metaData);
+    }
+    await saveBindingToKV(storage, ownerUid, superGroupChatId);
+  }
+
+  const entries = parseMessageMappings(await getPinnedText(botToken, superGroupChatId, '迁移读取消息映射置顶'));
+  const imported = await importMessageMappingsKV(storage, superGroupChatId, entries);
+  console.log('Imported', imported, 'pinned message mappings for', superGroupChatId);
+}
+
+/**
+ * v2：旧版 `mapping:<groupId>` 数组拆分为单条 key
+ * - 此前仅在查找未命中时按需迁移，未绑定的超级群会一直残留
+ * - 每次加载只拆分一批，全部数组删除后才推进版本；未拆分的映射在查找时仍可从数组读取
+ */
+async function migrateLegacyMappingArrays({ storage }) {
+  return migrateNextLegacyMappingBatchKV(storage);
+}
+
+/**
+ * 迁移注册表，按 version 递增排列；新增格式变更时在末尾追加，不修改已发布的迁移
+ */
+export const MIGRATIONS = [
+  { version: 1, description: '置顶消息数据迁移到存储后端', up: migratePinnedToStorage },
+  { version: 2, description: '旧版消息映射数组拆分为单条 key', up: migrateLegacyMappingArrays }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 读取存储中的 Schema 版本
+ * @returns {Promise<number|null>} 未配置存储后端时为 null，未记录时为 0
+ */
+export async function getSchemaVersion(storage) {
+  if (!storage) return null;
+  return Number(await storage.get(SCHEMA_VERSION_KEY)) || 0;
+}
+
+/**
+ * 执行未完成的迁移
+ * @param {object} context - Bot 上下文 { storage, botToken, ownerUid }
+ * @returns {Promise<number|null>} 迁移后的版本
+ */
+export async function migrateSchema(context) {
+  const { storage } = context;
+  let version = await getSchemaVersion(storage);
+  if (version === null) return null;
+  if (version > SCHEMA_VERSION) {
+    console.warn('Schema version', version, 'is newer than supported', SCHEMA_VERSION);
+    return version;
+  }
+
+  for (const migration of MIGRATIONS) {
+    if (migration.version <= version) continue;
+    try {
+      if (await migration.up(context) === false) {
+        console.log('Schema migration in progress', migration.version, migration.description);
+        return version;
+      }
+    } catch (err) {
+      console.error('Schema migration failed', migration.version, migration.description, err);
+      return version;
+    }
+    await storage.put(SCHEMA_VERSION_KEY, String(migration.version));
+    version = migration.version;
+    console.log('Schema migrated to', version, migration.description);
+  }
+  return version;
+}
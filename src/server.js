@@ -0,0 +1,127 @@
+/**
+ * Fivegram - Node.js 自托管入口
+ * 将 HTTP 请求转换为 Fetch API Request 后交给核心逻辑处理
+ *
+ * 环境变量：
+ * - PORT：监听端口，默认 8787
+ * - PREFIX / SECRET_TOKEN：与 Worker 部署一致
+ * - STORAGE_BACKEND：file（默认）或 memory
+ * - STORAGE_PATH：file 存储的数据文件，默认 ./data/fivegram.json
+ * - PUBLIC_URL：对外访问地址（如 https://bot.example.com），反向代理后用于生成 Webhook 地址
+ * - PINNED_BACKUP：是否同步写入置顶消息备份
+ * - TELEGRAM_API_BASE：可选，自建 Bot API 服务地址
+ * - RECONCILE_INTERVAL_HOURS：定时对账间隔（小时），默认 24，设为 0 关闭
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { handleRequest, setTelegramClient } from './core.js';
+import { runScheduledReconcile } from './reconcile.js';
+import { createMemoryStorage } from './storage/memoryStorage.js';
+import { createFileStorage } from './storage/fileStorage.js';
+
+const MAX_BODY_SIZE = 1024 * 1024;  // Telegram Update 远小于 1MB
+
+export async function createNodeStorage(env) {
+  const backend = (env.STORAGE_BACKEND || 'file').toLowerCase();
+  if (backend === 'memory') return createMemoryStorage();
+  if (backend === 'file') return createFileStorage(env.STORAGE_PATH || './data/fivegram.json');
+  throw new Error(`Node.js 入口不支持的 STORAGE_BACKEND: ${backend}`);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function toFetchRequest(req, publicUrl) {
+  const proto = req.headers['x-forwarded-proto'] || 'http';
+  const host = req.headers['x-forwarded-host'] || req.headers.host;
+  const origin = publicUrl || `${proto}://${host}`;
+  const hasBody = req.method !== 'GET' && req.method !== 'HEAD';
+  return new Request(new URL(req.url, origin), {
+    method: req.method,
+    headers: req.headers,
+    body: hasBody ? await readBody(req) : undefined
+  });
+}
+
+async function writeFetchResponse(res, response) {
+  res.writeHead(response.status, Object.fromEntries(response.headers));
+  res.end(Buffer.from(await response.arrayBuffer()));
+}
+
+export async function startServer(env = process.env) {
+  const config = {
+    prefix: env.PREFIX || 'fivegram',
+    secretToken: env.SECRET_TOKEN || '',
+    storage: await createNodeStorage(env),
+    pinnedBackup: env.PINNED_BACKUP === 'true',
+    telegramClient: env.TELEGRAM_API_BASE ? { apiBase: env.TELEGRAM_API_BASE } : null,
+  };
+  // 与 Worker 的 ExecutionContext 对齐，后台任务只需记录异常
+  const ctx = {
+    waitUntil(promise) {
+      Promise.resolve(promise).catch((err) => console.error('waitUntil task error', err));
+    }
+  };
+
+  const server = createServer(async (req, res) => {
+    try {
+      const request = await toFetchRequest(req, env.PUBLIC_URL);
+      await writeFetchResponse(res, await handleRequest(request, config, ctx));
+    } catch (err) {
+      console.error('server request error', err);
+      if (!res.headersSent) res.writeHead(500);
+      res.end('Internal Server Error');
+    }
+  });
+
+  // 定时对账，对应 Worker 的 Cron Trigger
+  const reconcileHours = Number(env.RECONCILE_INTERVAL_HOURS ?? 24);
+  if (reconcileHours > 0) {
+    if (config.telegramClient) setTelegramClient(config.telegramClient);
+    const timer = setInterval(() => {
+      runScheduledReconcile(config).catch((err) => console.error('scheduled reconcile error', err));
+    }, reconcileHours * 60 * 60 * 1000);
+    timer.unref();
+    server.on('close', () => clearInterval(timer));
+  }
+  // 文件存储合并写入，关闭时写入尚未落盘的数据
+  server.on('close', () => {
+    Promise.resolve(config.storage.flush?.()).catch((err) => console.error('storage flush error', err));
+  });
+
+  const port = Number(env.PORT) || 8787;
+  await new Promise((resolve) => server.listen(port, resolve));
+  console.log(`Fivegram listening on :${port}/${config.prefix}`);
+  return server;
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  startServer().then((server) => {
+    for (const signal of ['SIGINT', 'SIGTERM']) {
+      process.once(signal, () => {
+        console.log('Stopping server...');
+        server.close();
+        server.closeAllConnections?.();
+      });
+    }
+  }).catch((err) => {
+    console.error('Failed to start server', err);
+    process.exit(1);
+  });
+}
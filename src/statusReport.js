@@ -0,0 +1,29 @@
+/**
+ * 运行状态汇总
+ * - /status 命令与管理接口共用同一份数据
+ */
+
+import { getDedupStats } from './updateDedup.js';
+import { getSchemaVersion, SCHEMA_VERSION } from './schemaMigrations.js';
+import { getDeliveryPause } from './groupEvents.js';
+
+/**
+ * 汇总当前 Bot 的元数据与去重状态
+ * @param {object} repository - 元数据仓库
+ * @param {string} botToken - Bot Token
+ */
+export async function collectStatus(repository, botToken) {
+  const { metaData, metaMessage } = repository;
+  return {
+    initialized: repository.isInitialized(),
+    superGroupChatId: metaData.superGroupChatId || null,
+    topicCount: metaData.topicToFromChat.size,
+    bannedCount: metaData.bannedTopics.length,
+    source: repository.source,
+    schemaVersion: await getSchemaVersion(repository.storage),
+    latestSchemaVersion: SCHEMA_VERSION,
+    deliveryPause: await getDeliveryPause(repository.storage, metaData.superGroupChatId),
+    pinnedBackupLength: metaMessage?.text ? metaMessage.text.length : null,
+    dedup: await getDedupStats(repository.storage, botToken)
+  };
+}
@@ -0,0 +1,106 @@
+/**
+ * D1 (SQLite) 存储
+ * - 以单表 key/value 形式实现与 Cloudflare KV 一致的接口
+ * - value 为 JSON 文本，可直接用 SQLite 的 json_* 函数做结构化查询
+ * - writeVersioned 用 `UPDATE … WHERE version = ?` 实现条件写入（见 versioned.js）
+ */
+
+const TABLE_NAME = 'fivegram_kv';
+const LIST_LIMIT = 1000;
+
+/**
+ * @param {object} db - D1 数据库绑定
+ */
+export function createD1Storage(db) {
+  let ready = null;
+
+  // 首次访问时建表，同一实例只执行一次
+  function ensureTable() {
+    if (!ready) {
+      ready = db.prepare(
+        `CREATE TABLE IF NOT EXISTS ${TABLE_NAME} (key TEXT PRIMARY KEY, value TEXT NOT NULL, metadata TEXT, expires_at INTEGER)`
+      ).run();
+    }
+    return ready;
+  }
+
+  return {
+    async get(key, options = {}) {
+      await ensureTable();
+      const row = await db.prepare(
+        `SELECT value FROM ${TABLE_NAME} WHERE key = ?1 AND (expires_at IS NULL OR expires_at > ?2)`
+      ).bind(key, Date.now()).first();
+      if (!row) return null;
+      const type = typeof options === 'string' ? options : options.type;
+      return type === 'json' ? JSON.parse(row.value) : row.value;
+    },
+
+    async put(key, value, options = {}) {
+      await ensureTable();
+      const expiresAt = options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null;
+      const metadata = options.metadata ? JSON.stringify(options.metadata) : null;
+      await db.prepare(
+        `INSERT INTO ${TABLE_NAME} (key, value, metadata, expires_at) VALUES (?1, ?2, ?3, ?4)
+         ON CONFLICT(key) DO UPDATE SET value = excluded.value, metadata = excluded.metadata, expires_at = excluded.expires_at`
+      ).bind(key, String(value), metadata, expiresAt).run();
+    },
+
+    async delete(key) {
+      await ensureTable();
+      await db.prepare(`DELETE FROM ${TABLE_NAME} WHERE key = ?1`).bind(key).run();
+    },
+
+    async writeVersioned(key, value, { expectedVersion } = {}) {
+      await ensureTable();
+      const readCurrent = async () => (await db.prepare(
+        `SELECT value FROM ${TABLE_NAME} WHERE key = ?1`
+      ).bind(key).first())?.value ?? null;
+
+      if (expectedVersion === undefined) {
+        if (value === null) {
+          await db.prepare(`DELETE FROM ${TABLE_NAME} WHERE key = ?1`).bind(key).run();
+        } else {
+          await db.prepare(
+            `INSERT INTO ${TABLE_NAME} (key, value, metadata, expires_at) VALUES (?1, ?2, NULL, NULL)
+             ON CONFLICT(key) DO UPDATE SET value = excluded.value, metadata = NULL, expires_at = NULL`
+          ).bind(key, String(value)).run();
+        }
+        return { ok: true, current: value };
+      }
+
+      // 版本比较与写入在同一条语句内完成，并发写入只有一个能命中
+      const versionMatches = `key = ?1 AND COALESCE(json_extract(value, '$.version'), 0) = ?2`;
+      const result = value === null
+        ? await db.prepare(`DELETE FROM ${TABLE_NAME} WHERE ${versionMatches}`).bind(key, expectedVersion).run()
+        : await db.prepare(`UPDATE ${TABLE_NAME} SET value = ?3 WHERE ${versionMatches}`).bind(key, expectedVersion, String(value)).run();
+      if (result.meta?.changes > 0) return { ok: true, current: value };
+
+      // key 不存在时版本视为 0：插入，已被其他请求插入则放弃
+      if (expectedVersion === 0 && value !== null) {
+        const inserted = await db.prepare(
+          `INSERT INTO ${TABLE_NAME} (key, value, metadata, expires_at) VALUES (?1, ?2, NULL, NULL)
+           ON CONFLICT(key) DO NOTHING`
+        ).bind(key, String(value)).run();
+        if (inserted.meta?.changes > 0) return { ok: true, current: value };
+      }
+      if (expectedVersion === 0 && value === null && await readCurrent() === null) return { ok: true, current: null };
+      return { ok: false, current: await readCurrent() };
+    },
+
+    async list({ prefix = '', cursor, limit = LIST_LIMIT } = {}) {
+      await ensureTable();
+      // 用 substr 比较前缀，避免 LIKE 对 `_`、`%` 的转义问题
+      const { results } = await db.prepare(
+        `SELECT key, metadata FROM ${TABLE_NAME}
+         WHERE substr(key, 1, ?1) = ?2 AND key > ?3 AND (expires_at IS NULL OR expires_at > ?4)
+         ORDER BY key LIMIT ?5`
+      ).bind(prefix.length, prefix, cursor || '', Date.now(), limit).all();
+      const listComplete = results.length < limit;
+      return {
+        keys: results.map((row) => ({ name: row.key, metadata: row.metadata ? JSON.parse(row.metadata) : null })),
+        list_complete: listComplete,
+        cursor: listComplete ? undefined : results[results.length - 1].key
+      };
+    }
+  };
+}
@@ -0,0 +1,75 @@
+/**
+ * KV + Durable Object 条件写入
+ * - Cloudflare KV 没有条件写入，且最终一致：多个 isolate 同时「读取-比较-写入」会互相覆盖
+ * - 绑定 METADATA_COORDINATOR 后，writeVersioned 交给按 key 划分的 Durable Object 执行：
+ *   同一 key 的写入在一个对象内串行，Durable Object 自身的存储是强一致的权威副本，写入成功后再同步到 KV
+ * - 普通读写（get / put / delete / list）仍直接访问 KV；读到旧版本时条件写入失败并返回最新值，调用方据此重试
+ */
+
+import { matchesVersion } from './versioned.js';
+
+const COORDINATOR_URL = 'https://metadata-coordinator/write';
+
+/**
+ * @param {object} kv - KV 命名空间绑定
+ * @param {object} coordinator - Durable Object 命名空间绑定（MetadataCoordinator）
+ */
+export function createCoordinatedKVStorage(kv, coordinator) {
+  return {
+    get: (key, options) => kv.get(key, options),
+    put: (key, value, options) => kv.put(key, value, options),
+    delete: (key) => kv.delete(key),
+    list: (options) => kv.list(options),
+
+    async writeVersioned(key, value, { expectedVersion } = {}) {
+      const stub = coordinator.get(coordinator.idFromName(key));
+      const resp = await stub.fetch(COORDINATOR_URL, {
+        method: 'POST',
+        body: JSON.stringify({ key, value, expectedVersion })
+      });
+      if (!resp.ok) throw new Error(`MetadataCoordinator ${resp.status}: ${await resp.text()}`);
+      return resp.json();
+    }
+  };
+}
+
+/**
+ * Durable Object：同一 key 的条件写入在此串行执行
+ * - Durable Object 运行时要求以 class 导出，需在 worker.js 中 re-export
+ * - 首次访问某个 key 时从 KV 读入已有数据作为初始值
+ */
+export class MetadataCoordinator {
+  constructor(state, env) {
+    this.state = state;
+    this.env = env;
+    this.queue = Promise.resolve();
+  }
+
+  async fetch(request) {
+    const { key, value, expectedVersion } = await request.json();
+    // 访问 KV 期间其他请求可能进入，用 Promise 链保证同一对象内逐个处理
+    const task = this.queue.then(() => this.write(key, value, expectedVersion));
+    this.queue = task.catch(() => {});
+    try {
+      return Response.json(await task);
+    } catch (err) {
+      return new Response(err.message || String(err), { status: 500 });
+    }
+  }
+
+  async write(key, value, expectedVersion) {
+    const { storage } = this.state;
+    const kv = this.env.MESSAGE_MAPPING;
+    let record = await storage.get(key);
+    if (record === undefined) record = { value: await kv.get(key) };
+
+    if (!matchesVersion(record.value, expectedVersion)) return { ok: false, current: record.value };
+    await storage.put(key, { value });
+    if (value === null) {
+      await kv.delete(key);
+    } else {
+      await kv.put(key, value);
+    }
+    return { ok: true, current: value };
+  }
+}
@@ -0,0 +1,67 @@
+/**
+ * JSON 文件存储（Node.js 自托管使用）
+ * - 启动时读入内存，写入后合并落盘：连续写入只在最后一次之后 PERSIST_DELAY 内写一次文件
+ * - 落盘前清理过期条目，文件不会因去重等一次性 key 无限增长
+ * - 先写临时文件再 rename，避免进程中断导致文件损坏；退出前调用 flush() 写入未落盘的数据
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import { dirname } from 'node:path';
+import { createMemoryStorage } from './memoryStorage.js';
+
+const PERSIST_DELAY = 1000;
+
+async function loadEntries(filePath) {
+  try {
+    const raw = await readFile(filePath, 'utf8');
+    return new Map(Object.entries(JSON.parse(raw)));
+  } catch (err) {
+    if (err.code === 'ENOENT') return new Map();
+    throw err;
+  }
+}
+
+/**
+ * @param {string} filePath - 数据文件路径
+ * @param {object} [options]
+ * @param {number} [options.persistDelay] - 合并写入的等待时间（毫秒）
+ */
+export async function createFileStorage(filePath, { persistDelay = PERSIST_DELAY } = {}) {
+  const entries = await loadEntries(filePath);
+  await mkdir(dirname(filePath), { recursive: true });
+  let writing = Promise.resolve();
+  let timer = null;
+  let storage = null;
+
+  // 串行化落盘，避免并发 rename 互相覆盖
+  function persist() {
+    clearTimeout(timer);
+    timer = null;
+    writing = writing.then(async () => {
+      storage.sweepExpired();
+      const tmpPath = `${filePath}.tmp`;
+      await writeFile(tmpPath, JSON.stringify(Object.fromEntries(entries)));
+      await rename(tmpPath, filePath);
+    }).catch((err) => {
+      console.error('fileStorage persist error', err);
+    });
+    return writing;
+  }
+
+  function schedulePersist() {
+    if (!timer) {
+      timer = setTimeout(persist, persistDelay);
+      timer.unref?.();
+    }
+  }
+
+  storage = createMemoryStorage({ entries, onChange: schedulePersist });
+  return {
+    ...storage,
+
+    // 立即写入尚未落盘的数据（退出前调用）
+    flush() {
+      return timer ? persist() : writing;
+    }
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * 存储后端选择
+ * - 所有后端都实现 Cloudflare KV 风格的 get / put / delete / list 接口
+ * - 通过 STORAGE_BACKEND 指定：kv（默认，绑定 MESSAGE_MAPPING）、d1（绑定 DB）、memory
+ * - KV 需同时绑定 METADATA_COORDINATOR（Durable Object），元数据写入才能跨 isolate 原子执行；
+ *   未绑定时仍可运行，但并发写入可能丢失 Topic 映射，启动时输出警告，/doctor 中存储检查不通过
+ * - 未指定时按已有绑定自动选择，均未绑定则返回 null（退回置顶消息存储）
+ */
+
+import { createD1Storage } from './d1Storage.js';
+import { createCoordinatedKVStorage } from './durableStorage.js';
+import { createMemoryStorage } from './memoryStorage.js';
+
+let memoryStorage = null;
+let uncoordinatedWarned = false;
+
+// 内存存储在同一进程内共享，保证多次请求间数据可见
+function getMemoryStorage() {
+  if (!memoryStorage) memoryStorage = createMemoryStorage();
+  return memoryStorage;
+}
+
+function createKVStorage(env) {
+  if (env.METADATA_COORDINATOR) return createCoordinatedKVStorage(env.MESSAGE_MAPPING, env.METADATA_COORDINATOR);
+  if (!uncoordinatedWarned) {
+    uncoordinatedWarned = true;
+    console.warn('[fivegram] WARNING: KV 存储未绑定 METADATA_COORDINATOR，并发请求写入 Topic 映射时可能互相覆盖导致映射丢失。'
+      + '请按 wrangler.toml.example 绑定 Durable Object，或改用 D1。');
+  }
+  return env.MESSAGE_MAPPING;
+}
+
+export function createStorage(env = {}) {
+  const backend = (env.STORAGE_BACKEND || '').toLowerCase();
+
+  if (backend === 'memory') return getMemoryStorage();
+  if (backend === 'd1') {
+    if (!env.DB) throw new Error('STORAGE_BACKEND=d1 但未绑定 DB');
+    return createD1Storage(env.DB);
+  }
+  if (backend === 'kv') {
+    if (!env.MESSAGE_MAPPING) throw new Error('STORAGE_BACKEND=kv 但未绑定 MESSAGE_MAPPING');
+    return createKVStorage(env);
+  }
+  if (backend) throw new Error(`未知的 STORAGE_BACKEND: ${backend}`);
+
+  if (env.MESSAGE_MAPPING) return createKVStorage(env);
+  if (env.DB) return createD1Storage(env.DB);
+  return null;
+}
+
+export { createD1Storage, createMemoryStorage };
+export { createNamespacedStorage } from './namespacedStorage.js';
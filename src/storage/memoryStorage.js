@@ -0,0 +1,105 @@
+/**
+ * 内存存储
+ * - 接口与 Cloudflare KV 绑定保持一致（get / put / delete / list）
+ * - 支持 writeVersioned 条件写入（见 versioned.js），比较与写入之间没有 await，天然原子
+ * - 数据只存在于当前进程，适合本地调试
+ * - 过期条目除读取时删除外，写入时每隔一段时间整体清理一次，避免不再读取的 key（如去重、待确认记录）一直占用内存
+ */
+
+import { matchesVersion } from './versioned.js';
+
+const LIST_LIMIT = 1000;
+const SWEEP_INTERVAL = 60 * 1000;  // 过期条目的整体清理间隔
+
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt !== null && entry.expiresAt <= now;
+}
+
+/**
+ * @param {object} [options]
+ * @param {Map} [options.entries] - 初始数据，key → { value, metadata, expiresAt }
+ * @param {function} [options.onChange] - 数据写入/删除后的回调，供持久化使用
+ */
+export function createMemoryStorage({ entries = new Map(), onChange } = {}) {
+  let lastSweep = Date.now();
+
+  // 删除全部过期条目
+  function sweepExpired(now = Date.now()) {
+    lastSweep = now;
+    let removed = 0;
+    for (const [key, entry] of entries) {
+      if (isExpired(entry, now)) {
+        entries.delete(key);
+        removed += 1;
+      }
+    }
+    return removed;
+  }
+
+  function maybeSweep() {
+    const now = Date.now();
+    if (now - lastSweep >= SWEEP_INTERVAL) sweepExpired(now);
+  }
+
+  function readEntry(key) {
+    const entry = entries.get(key);
+    if (!entry) return null;
+    if (isExpired(entry)) {
+      entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  return {
+    async get(key, options = {}) {
+      const entry = readEntry(key);
+      if (!entry) return null;
+      const type = typeof options === 'string' ? options : options.type;
+      return type === 'json' ? JSON.parse(entry.value) : entry.value;
+    },
+
+    async put(key, value, options = {}) {
+      entries.set(key, {
+        value: String(value),
+        metadata: options.metadata ?? null,
+        expiresAt: options.expirationTtl ? Date.now() + options.expirationTtl * 1000 : null
+      });
+      maybeSweep();
+      if (onChange) await onChange(entries);
+    },
+
+    async delete(key) {
+      entries.delete(key);
+      if (onChange) await onChange(entries);
+    },
+
+    async writeVersioned(key, value, { expectedVersion } = {}) {
+      const current = readEntry(key)?.value ?? null;
+      if (!matchesVersion(current, expectedVersion)) return { ok: false, current };
+      if (value === null) {
+        entries.delete(key);
+      } else {
+        entries.set(key, { value: String(value), metadata: null, expiresAt: null });
+      }
+      maybeSweep();
+      if (onChange) await onChange(entries);
+      return { ok: true, current: value };
+    },
+
+    async list({ prefix = '', cursor, limit = LIST_LIMIT } = {}) {
+      const names = [...entries.keys()]
+        .filter((key) => key.startsWith(prefix) && (!cursor || key > cursor) && readEntry(key))
+        .sort();
+      const page = names.slice(0, limit);
+      const listComplete = page.length === names.length;
+      return {
+        keys: page.map((name) => ({ name, metadata: entries.get(name).metadata })),
+        list_complete: listComplete,
+        cursor: listComplete ? undefined : page[page.length - 1]
+      };
+    },
+
+    sweepExpired
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * 命名空间存储
+ * - 包装任意 KV 风格的存储后端，所有 key 自动加上 `<namespace>:` 前缀
+ * - list 返回的 key 会去掉前缀，调用方无需感知命名空间
+ */
+
+/**
+ * @param {object} storage - 底层存储后端
+ * @param {string} namespace - 命名空间，如 `tenant:123456`
+ */
+export function createNamespacedStorage(storage, namespace) {
+  const prefix = `${namespace}:`;
+
+  return {
+    get(key, options) {
+      return storage.get(prefix + key, options);
+    },
+
+    put(key, value, options) {
+      return storage.put(prefix + key, value, options);
+    },
+
+    delete(key) {
+      return storage.delete(prefix + key);
+    },
+
+    // 底层不支持条件写入时保持缺省，调用方据此回退
+    writeVersioned: storage.writeVersioned
+      ? (key, value, options) => storage.writeVersioned(prefix + key, value, options)
+      : undefined,
+
+    async list({ prefix: keyPrefix = '', ...options } = {}) {
+      const page = await storage.list({ ...options, prefix: prefix + keyPrefix });
+      return {
+        ...page,
+        keys: page.keys.map((key) => ({ ...key, name: key.name.slice(prefix.length) }))
+      };
+    }
+  };
+}
@@ -0,0 +1,21 @@
+/**
+ * 带版本号的条件写入
+ * - 存储后端可选实现 writeVersioned(key, value, { expectedVersion }) → { ok, current }
+ * - 值为 JSON 文本，其 version 字段为版本号；key 不存在或没有 version 时视为 0
+ * - expectedVersion 与当前版本不一致时不写入，current 为后端中的最新值，调用方可直接基于它重试
+ * - 不传 expectedVersion 时无条件写入；value 为 null 表示删除
+ */
+
+export function readVersion(value) {
+  if (value === null || value === undefined) return 0;
+  try {
+    return JSON.parse(value)?.version || 0;
+  } catch {
+    return 0;
+  }
+}
+
+// 是否满足写入条件
+export function matchesVersion(current, expectedVersion) {
+  return expectedVersion === undefined || readVersion(current) === expectedVersion;
+}
@@ -1,24 +1,18 @@
 /**
  * Forum Topic 相关操作
- * - 创建 Topic
+ * - 创建 Topic（并发送用户资料卡）
  * - 在 Topic 与私聊之间转发消息
+ * - 相册缓冲后用 copyMessages 整组转发，逐条记录消息映射
  */
 
 import dayjs from 'dayjs';
 import { callTelegramApi } from './core.js';
 import { isTopicBanned } from './banManager.js';
-import { isSupergroupAdmin } from './messageHandler.js';
+import { isSupergroupAdmin } from './adminCache.js';
+import { bufferAlbumMessage } from './albumBuffer.js';
 import { notifyMessageFailed, notifyMessageSent } from './deliveryStatus.js';
-import {
-  addMessageMapping,
-  cleanupTopicMessages,
-  findPmMessageId,
-  findTopicMessageId,
-  markBan,
-  removeMapping,
-  upsertMapping,
-  updateMapping
-} from './metadataManager.js';
+import { markBan, removeMapping, upsertMapping } from './metadataManager.js';
+import { postProfileCard, syncProfile } from './profileCard.js';
 
 const SERVICE_MESSAGE_FIELDS = [
   'forum_topic_created',
@@ -41,13 +35,13 @@ export function isServiceMessage(message) {
   return SERVICE_MESSAGE_FIELDS.some((field) => field in message);
 }
 
-// 为 Topic 生成可读名称，避免超过上限
-function buildTopicName(message, fallbackId) {
+// 为 Topic 生成可读名称，避免超过上限；设置了备注名时放在最前
+export function buildTopicName(message, fallbackId, alias) {
   const from = message.chat;
   const fromUserId = message.from?.id;
   const baseId = from.id || fallbackId;
   const username = from.username ? `@${from.username}` : [from.first_name, from.last_name].filter(Boolean).join(' ');
-  const display = username || 'Guest';
+  const display = alias ? `${alias} | ${username || 'Guest'}` : username || 'Guest';
   const suffix = fromUserId && fromUserId !== baseId ? `(${baseId})(${fromUserId})` : `(${baseId})`;
   const name = `${display}`.substring(0, 80);
   return `${name} ${suffix}`.substring(0, 120);
@@ -60,15 +54,47 @@ function buildReplySummary(replyMessage) {
   return `🧾 引用定位失败\n时间：${timeStr}\n内容：${preview}`;
 }
 
-export async function ensureTopic(botToken, metaData, metaMessage, fromChatId, message, ownerUid) {
+function isTopicInvalid(resp) {
+  return resp.description?.includes('message thread not found') || resp.description?.includes('TOPIC_ID_INVALID');
+}
+
+/**
+ * 整组复制相册
+ * - copyMessages 不支持 reply_parameters，相册转发不保留引用关系
+ * - 每条消息单独记录映射，回复、编辑、#del 对相册中任意一条都生效
+ * @param {function} record - (message, copiedMessageId) => Promise，记录单条消息映射
+ * @returns {Promise<object>} copyMessages 的响应
+ */
+async function copyAlbum(botToken, ownerUid, body, messages, record, context) {
+  const resp = await callTelegramApi(botToken, 'copyMessages', {
+    ...body,
+    message_ids: messages.map((item) => item.message_id)
+  }, { ownerUid, context });
+  if (!resp.ok) return resp;
+
+  // 部分消息无法复制时会被跳过，数量不一致就无法逐条对应
+  const copied = resp.result || [];
+  if (copied.length !== messages.length) {
+    console.warn('copyMessages result length mismatch', messages.length, copied.length);
+    return resp;
+  }
+  // 无存储后端时映射写在置顶消息中，需逐条写入
+  for (const [index, item] of messages.entries()) {
+    await record(item, copied[index].message_id);
+  }
+  return resp;
+}
+
+export async function ensureTopic(botToken, repository, fromChatId, message, ownerUid) {
   const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { metaData } = repository;
 
   // 已存在直接返回
   const topicId = metaData.fromChatToTopic.get(fromChatId);
-  if (topicId) return { topicId, metaMessage };
+  if (topicId) return topicId;
 
   // 检查是否是 Supergroup 管理员
-  const isAdmin = await isSupergroupAdmin(botToken, metaData.superGroupChatId, fromChatId);
+  const isAdmin = await isSupergroupAdmin(repository.storage, botToken, metaData.superGroupChatId, fromChatId);
   if (isAdmin) {
     throw new Error('Cannot create topic for Supergroup admin');
   }
@@ -89,13 +115,30 @@ export async function ensureTopic(botToken, metaData, metaMessage, fromChatId, m
     throw new Error('createForumTopic failed');
   }
 
-  upsertMapping(metaData, newTopicId, fromChatId);
-  const updated = await updateMapping(botToken, ownerUid, metaMessage, metaData);
-  return { topicId: newTopicId, metaMessage: updated };
+  // 并发创建时（如相册多条消息同时到达）以先写入的 Topic 为准
+  await repository.save((data) => {
+    if (!data.fromChatToTopic.has(fromChatId)) upsertMapping(data, newTopicId, fromChatId);
+  });
+  const winnerTopicId = metaData.fromChatToTopic.get(fromChatId);
+  if (winnerTopicId !== newTopicId) {
+    await safeCall('deleteForumTopic', {
+      chat_id: superGroupChatId,
+      message_thread_id: newTopicId
+    }, '删除重复 Topic');
+  } else {
+    await postProfileCard(botToken, ownerUid, repository, newTopicId, message);
+  }
+  return winnerTopicId;
 }
 
-export async function forwardPrivateToTopic(botToken, ownerUid, metaData, metaMessage, message) {
+/**
+ * 私聊消息转发到用户的 Topic
+ * @param {object} [options]
+ * @param {function} [options.waitUntil] - 延长运行时生命周期，直到缓冲的相册转发完成
+ */
+export async function forwardPrivateToTopic(botToken, ownerUid, repository, message, options = {}) {
   const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { metaData } = repository;
   const fromChatId = message.chat.id;
   const existingTopicId = metaData.fromChatToTopic.get(fromChatId);
   const banned = existingTopicId && isTopicBanned(metaData, existingTopicId);
@@ -107,16 +150,21 @@ export async function forwardPrivateToTopic(botToken, ownerUid, metaData, metaMe
     return new Response('OK');
   }
 
+  if (message.media_group_id) {
+    const done = bufferAlbumMessage(message, (messages) => relayPrivateAlbum(botToken, ownerUid, repository, messages));
+    if (done) options.waitUntil?.(done);
+    return new Response('OK');
+  }
+
   try {
-    const { topicId, metaMessage: newMetaMessage } = await ensureTopic(botToken, metaData, metaMessage, fromChatId, message, ownerUid);
+    const topicId = await ensureTopic(botToken, repository, fromChatId, message, ownerUid);
+    await syncProfile(botToken, ownerUid, repository, message);
     let targetTopicId = topicId;
 
     // 处理引用转发：尽量在群内关联上原消息
     let replyParameters = null;
     if (message.reply_to_message) {
-      const { topicId: mappingTopicId, topicMessageId } = await findTopicMessageId(
-        botToken,
-        metaData.superGroupChatId,
+      const { topicId: mappingTopicId, topicMessageId } = await repository.findTopicMessageId(
         message.reply_to_message.message_id
       );
       if (mappingTopicId) {
@@ -144,12 +192,11 @@ export async function forwardPrivateToTopic(botToken, ownerUid, metaData, metaMe
 
     if (!resp.ok) {
       // 如果 Topic 失效尝试清理映射并重试一次
-      if (resp.description?.includes('message thread not found') || resp.description?.includes('TOPIC_ID_INVALID')) {
-        removeMapping(metaData, targetTopicId);
+      if (isTopicInvalid(resp)) {
         // 清理该 Topic 的所有消息映射
-        await cleanupTopicMessages(metaData.superGroupChatId, targetTopicId);
-        const refreshed = await updateMapping(botToken, ownerUid, newMetaMessage, metaData);
-        return forwardPrivateToTopic(botToken, ownerUid, metaData, refreshed, message);
+        await repository.cleanupTopicMessages(targetTopicId);
+        await repository.save((data) => removeMapping(data, targetTopicId));
+        return forwardPrivateToTopic(botToken, ownerUid, repository, message, options);
       }
       await notifyMessageFailed(botToken, fromChatId, message.message_id);
       return new Response('OK');
@@ -157,7 +204,7 @@ export async function forwardPrivateToTopic(botToken, ownerUid, metaData, metaMe
 
     const topicMessageId = resp.result?.message_id;
     if (topicMessageId) {
-      await addMessageMapping(botToken, metaData.superGroupChatId, targetTopicId, topicMessageId, message.message_id);
+      await repository.addMessageMapping(targetTopicId, topicMessageId, message.message_id);
     }
     await notifyMessageSent(botToken, fromChatId, message.message_id);
     return new Response('OK');
@@ -172,16 +219,68 @@ export async function forwardPrivateToTopic(botToken, ownerUid, metaData, metaMe
   }
 }
 
-export async function forwardTopicToPrivate(botToken, ownerUid, metaData, metaMessage, message) {
+// 私聊相册整组转发到 Topic，Topic 失效时重建并重试一次
+async function relayPrivateAlbum(botToken, ownerUid, repository, messages, retried = false) {
+  const { metaData } = repository;
+  const first = messages[0];
+  const fromChatId = first.chat.id;
+  try {
+    let targetTopicId = await ensureTopic(botToken, repository, fromChatId, first, ownerUid);
+    await syncProfile(botToken, ownerUid, repository, messages[messages.length - 1]);
+    // 相册引用了其他 Topic 中的消息时，与单条消息一样发到对应 Topic
+    if (first.reply_to_message) {
+      const { topicId: mappingTopicId } = await repository.findTopicMessageId(first.reply_to_message.message_id);
+      if (mappingTopicId) targetTopicId = mappingTopicId;
+    }
+
+    const resp = await copyAlbum(botToken, ownerUid, {
+      chat_id: metaData.superGroupChatId,
+      from_chat_id: fromChatId,
+      message_thread_id: targetTopicId
+    }, messages, (item, topicMessageId) => repository.addMessageMapping(targetTopicId, topicMessageId, item.message_id), '私聊相册转 Topic');
+
+    if (!resp.ok) {
+      if (!retried && isTopicInvalid(resp)) {
+        await repository.cleanupTopicMessages(targetTopicId);
+        await repository.save((data) => removeMapping(data, targetTopicId));
+        return relayPrivateAlbum(botToken, ownerUid, repository, messages, true);
+      }
+      await notifyMessageFailed(botToken, fromChatId, first.message_id);
+      return;
+    }
+    await notifyMessageSent(botToken, fromChatId, first.message_id);
+  } catch (err) {
+    console.error('relayPrivateAlbum error', err);
+    await callTelegramApi(botToken, 'sendMessage', {
+      chat_id: ownerUid,
+      text: `转发私聊相册失败：${err.message || err}`
+    }, { ownerUid, context: '私聊相册转发异常' });
+    await notifyMessageFailed(botToken, fromChatId, first.message_id);
+  }
+}
+
+/**
+ * Topic 消息转发到用户私聊
+ * @param {object} [options]
+ * @param {function} [options.waitUntil] - 延长运行时生命周期，直到缓冲的相册转发完成
+ */
+export async function forwardTopicToPrivate(botToken, ownerUid, repository, message, options = {}) {
   const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { metaData } = repository;
   const topicId = message.message_thread_id;
   const targetChatId = metaData.topicToFromChat.get(topicId);
   if (!targetChatId) return new Response('OK');
 
+  if (message.media_group_id) {
+    const done = bufferAlbumMessage(message, (messages) => relayTopicAlbum(botToken, ownerUid, repository, targetChatId, messages));
+    if (done) options.waitUntil?.(done);
+    return new Response('OK');
+  }
+
   try {
     let replyParameters = null;
     if (message.reply_to_message) {
-      const { pmMessageId } = await findPmMessageId(botToken, metaData.superGroupChatId, message.reply_to_message.message_id);
+      const { pmMessageId } = await repository.findPmMessageId(message.reply_to_message.message_id);
       if (pmMessageId) {
         // 只在找到映射时才设置回复参数
         replyParameters = {
@@ -202,10 +301,9 @@ export async function forwardTopicToPrivate(botToken, ownerUid, metaData, metaMe
     const resp = await safeCall('copyMessage', copyBody, 'Topic 转私聊');
     if (!resp.ok) {
       if (resp.description?.includes('TOPIC_ID_INVALID')) {
-        removeMapping(metaData, topicId);
         // 清理该 Topic 的所有消息映射
-        await cleanupTopicMessages(metaData.superGroupChatId, topicId);
-        await updateMapping(botToken, ownerUid, metaMessage, metaData);
+        await repository.cleanupTopicMessages(topicId);
+        await repository.save((data) => removeMapping(data, topicId));
       }
       await notifyMessageFailed(botToken, message.chat.id, message.message_id);
       return new Response('OK');
@@ -213,7 +311,7 @@ export async function forwardTopicToPrivate(botToken, ownerUid, metaData, metaMe
 
     const pmMessageId = resp.result?.message_id;
     if (pmMessageId) {
-      await addMessageMapping(botToken, metaData.superGroupChatId, topicId, message.message_id, pmMessageId);
+      await repository.addMessageMapping(topicId, message.message_id, pmMessageId);
     }
     await notifyMessageSent(botToken, message.chat.id, message.message_id);
     return new Response('OK');
@@ -228,8 +326,38 @@ export async function forwardTopicToPrivate(botToken, ownerUid, metaData, metaMe
   }
 }
 
-export async function changeBanStatus(botToken, ownerUid, metaData, metaMessage, topicId, banned) {
+// Topic 中的相册整组转发到私聊
+async function relayTopicAlbum(botToken, ownerUid, repository, targetChatId, messages) {
+  const first = messages[0];
+  const topicId = first.message_thread_id;
+  try {
+    const resp = await copyAlbum(botToken, ownerUid, {
+      chat_id: targetChatId,
+      from_chat_id: first.chat.id
+    }, messages, (item, pmMessageId) => repository.addMessageMapping(topicId, item.message_id, pmMessageId), 'Topic 相册转私聊');
+
+    if (!resp.ok) {
+      if (resp.description?.includes('TOPIC_ID_INVALID')) {
+        await repository.cleanupTopicMessages(topicId);
+        await repository.save((data) => removeMapping(data, topicId));
+      }
+      await notifyMessageFailed(botToken, first.chat.id, first.message_id);
+      return;
+    }
+    await notifyMessageSent(botToken, first.chat.id, first.message_id);
+  } catch (err) {
+    console.error('relayTopicAlbum error', err);
+    await callTelegramApi(botToken, 'sendMessage', {
+      chat_id: ownerUid,
+      text: `向私聊复制相册失败：${err.message || err}`
+    }, { ownerUid, context: 'Topic 相册转发异常' });
+    await notifyMessageFailed(botToken, first.chat.id, first.message_id);
+  }
+}
+
+export async function changeBanStatus(botToken, ownerUid, repository, topicId, banned) {
   const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const { metaData } = repository;
   const alreadyBanned = isTopicBanned(metaData, topicId);
   if (alreadyBanned === banned) {
     const text = banned ? '此话题已在拉黑列表中。' : '此话题当前未被拉黑。';
@@ -250,8 +378,7 @@ export async function changeBanStatus(botToken, ownerUid, metaData, metaMessage,
     return new Response('OK');
   }
 
-  markBan(metaData, topicId, banned);
-  await updateMapping(botToken, ownerUid, metaMessage, metaData);
+  await repository.save((data) => markBan(data, topicId, banned));
   const text = banned ? '本话题已被禁止私聊消息进入' : '本话题已解除禁止';
   await safeCall('sendMessage', {
     chat_id: metaData.superGroupChatId,
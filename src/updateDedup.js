@@ -0,0 +1,62 @@
+/**
+ * Update 去重
+ * - Telegram 在 Webhook 超时或出错时会重发同一 update_id
+ * - 处理前先在存储中登记 update_id（短 TTL），重复投递直接确认不再处理
+ */
+
+import { getBotId } from './botRegistry.js';
+
+const UPDATE_TTL = 60 * 10;  // 登记保留 10 分钟，覆盖 Telegram 的重试窗口（KV 最小 TTL 为 60 秒）
+
+function getUpdateKey(botToken, updateId) {
+  return `update:${getBotId(botToken)}:${updateId}`;
+}
+
+function getStatsKey(botToken) {
+  return `dedup:stats:${getBotId(botToken)}`;
+}
+
+/**
+ * 登记 update_id
+ * @returns {Promise<boolean>} 首次收到返回 true，重复投递返回 false
+ */
+export async function claimUpdate(storage, botToken, updateId) {
+  if (!storage || updateId === undefined) return true;
+  try {
+    const key = getUpdateKey(botToken, updateId);
+    if (await storage.get(key)) {
+      await recordDuplicate(storage, botToken, updateId);
+      return false;
+    }
+    await storage.put(key, '1', { expirationTtl: UPDATE_TTL });
+    return true;
+  } catch (err) {
+    // 存储异常时宁可重复处理，也不丢消息
+    console.error('claimUpdate error', err);
+    return true;
+  }
+}
+
+async function recordDuplicate(storage, botToken, updateId) {
+  const key = getStatsKey(botToken);
+  const stats = await storage.get(key, { type: 'json' }) || { duplicates: 0 };
+  await storage.put(key, JSON.stringify({
+    duplicates: stats.duplicates + 1,
+    lastDuplicateId: updateId,
+    lastDuplicateAt: Math.floor(Date.now() / 1000)
+  }));
+}
+
+/**
+ * 读取去重统计，供 /status 展示
+ */
+export async function getDedupStats(storage, botToken) {
+  if (!storage) return null;
+  try {
+    const stats = await storage.get(getStatsKey(botToken), { type: 'json' });
+    return { ttl: UPDATE_TTL, duplicates: 0, lastDuplicateId: null, lastDuplicateAt: null, ...stats };
+  } catch (err) {
+    console.error('getDedupStats error', err);
+    return null;
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Update 后台处理队列
+ * - Webhook 收到后立即确认，实际处理交给 ctx.waitUntil
+ * - 同一聊天的 Update 在当前 isolate 内串行执行，保证消息顺序
+ * - 跨 isolate 无法保证顺序，如需严格有序可在 setWebhook 时设置 max_connections = 1
+ */
+
+const chatQueues = new Map();  // chatId → 队尾 Promise
+
+/**
+ * 提取 Update 所属的聊天 ID，用作排队 key
+ */
+export function getUpdateChatId(update) {
+  const source = update.message
+    || update.edited_message
+    || update.message_reaction
+    || update.my_chat_member
+    || update.chat_member
+    || update.callback_query?.message;
+  return source?.chat?.id ?? 'global';
+}
+
+/**
+ * 将任务排到对应聊天的队尾
+ * @param {object} update - Telegram Update
+ * @param {function} task - 返回 Promise 的处理函数
+ * @returns {Promise<void>} 任务完成（或失败）后 resolve，可直接交给 waitUntil
+ */
+export function enqueueUpdate(update, task) {
+  const key = getUpdateChatId(update);
+  const previous = chatQueues.get(key) || Promise.resolve();
+  const current = previous.then(task).catch((err) => {
+    console.error('update task error', update.update_id, err);
+  });
+  chatQueues.set(key, current);
+  current.then(() => {
+    if (chatQueues.get(key) === current) chatQueues.delete(key);
+  });
+  return current;
+}
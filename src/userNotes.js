@@ -0,0 +1,107 @@
+/**
+ * 用户备注名与备注
+ * - /alias <名称>：设置备注名（topicToComment / fromChatToComment），Topic 名称改为「备注名 | 用户名」；不带参数时清除
+ * - /note <内容>：追加一条备注，保存在用户资料中并显示在资料卡上（需配置存储后端）
+ * - /notes：列出该用户的全部备注
+ * - 仅 Owner 可在用户对应的 Topic 内执行
+ */
+
+import { callTelegramApi } from './core.js';
+import { setComment } from './metadataManager.js';
+import { refreshProfileCard } from './profileCard.js';
+import { buildTopicName, formatHumanTime } from './topicHandler.js';
+
+const MAX_ALIAS_LENGTH = 32;
+const MAX_NOTE_LENGTH = 500;
+const MAX_NOTES = 50;  // 每位用户保留的备注条数
+
+export const NOTE_COMMANDS = ['/alias', '/note', '/notes'];
+
+// 命令后的参数（保留换行）
+function getCommandArgument(text) {
+  return text.replace(/^\/\S+/, '').trim();
+}
+
+// 按用户当前的姓名与备注名重命名 Topic；名称不变时不调用（editForumTopic 会返回 TOPIC_NOT_MODIFIED）
+async function renameTopic(botToken, ownerUid, repository, topicId, fromChatId, previousAlias, alias) {
+  const safeCall = (method, body, context) => callTelegramApi(botToken, method, body, { ownerUid, context });
+  const chatResp = await safeCall('getChat', { chat_id: fromChatId }, '读取用户信息');
+  const chat = chatResp.ok ? chatResp.result : { id: fromChatId };
+  const name = buildTopicName({ chat }, fromChatId, alias);
+  if (name === buildTopicName({ chat }, fromChatId, previousAlias)) return { ok: true };
+  return safeCall('editForumTopic', {
+    chat_id: repository.metaData.superGroupChatId,
+    message_thread_id: topicId,
+    name
+  }, '备注名重命名 Topic');
+}
+
+async function setAlias(botToken, ownerUid, repository, topicId, fromChatId, argument) {
+  // 置顶元数据以 ; 和 : 分隔，备注名中去掉这两个字符
+  const alias = argument.replace(/[;:\n]/g, ' ').trim().substring(0, MAX_ALIAS_LENGTH);
+  const previousAlias = repository.metaData.fromChatToComment.get(fromChatId);
+  await repository.save((data) => setComment(data, topicId, alias || null));
+  const renameResp = await renameTopic(botToken, ownerUid, repository, topicId, fromChatId, previousAlias, alias);
+
+  const profile = await repository.loadProfile(fromChatId);
+  if (profile) await refreshProfileCard(botToken, repository, fromChatId, profile);
+
+  const text = alias ? `🏷 备注名已设置为：${alias}` : '🏷 备注名已清除';
+  return renameResp.ok ? text : `${text}\n⚠️ Topic 重命名失败：${renameResp.description}`;
+}
+
+async function addNote(botToken, ownerUid, repository, fromChatId, argument, message) {
+  if (!argument) return '用法：/note <内容>';
+  if (!repository.storage) return '⚠️ 未配置存储后端，无法保存备注。';
+
+  const profile = await repository.loadProfile(fromChatId) || {};
+  const note = { text: argument.substring(0, MAX_NOTE_LENGTH), date: message.date, by: message.from?.id };
+  profile.notes = [...(profile.notes || []), note].slice(-MAX_NOTES);
+  await repository.saveProfile(fromChatId, profile);
+  await refreshProfileCard(botToken, repository, fromChatId, profile);
+  return `📝 已添加备注（共 ${profile.notes.length} 条）`;
+}
+
+async function listNotes(repository, fromChatId) {
+  if (!repository.storage) return '⚠️ 未配置存储后端，没有保存的备注。';
+  const notes = (await repository.loadProfile(fromChatId))?.notes || [];
+  if (notes.length === 0) return '暂无备注，可用 /note <内容> 添加。';
+  return [
+    `📝 备注（共 ${notes.length} 条）`,
+    ...notes.map((note, index) => `${index + 1}. [${formatHumanTime(note.date)}] ${note.text}`)
+  ].join('\n');
+}
+
+/**
+ * 处理 Topic 内的 /alias、/note、/notes
+ */
+export async function handleNoteCommand(botToken, ownerUid, repository, message) {
+  const { metaData } = repository;
+  const topicId = message.message_thread_id;
+  const reply = (text) => callTelegramApi(botToken, 'sendMessage', {
+    chat_id: message.chat.id,
+    message_thread_id: topicId,
+    // 备注列表可能超过单条消息上限
+    text: text.substring(0, 4096)
+  }, { ownerUid, context: '备注命令' });
+
+  if (message.from?.id?.toString() !== ownerUid?.toString()) {
+    await reply('仅机器人所有者可以设置备注名和备注。');
+    return;
+  }
+  const fromChatId = metaData.topicToFromChat.get(topicId);
+  if (!fromChatId) {
+    await reply('未找到该话题的私聊映射，无法设置备注。');
+    return;
+  }
+
+  const command = message.text.split(/\s/)[0];
+  const argument = getCommandArgument(message.text);
+  if (command === '/alias') {
+    await reply(await setAlias(botToken, ownerUid, repository, topicId, fromChatId, argument));
+  } else if (command === '/note') {
+    await reply(await addNote(botToken, ownerUid, repository, fromChatId, argument, message));
+  } else {
+    await reply(await listNotes(repository, fromChatId));
+  }
+}
@@ -3,16 +3,32 @@
  * 负责解析请求并委托给核心逻辑
  */
 
-import { handleRequest } from './core.js';
+import { handleRequest, setTelegramClient } from './core.js';
+import { runScheduledReconcile } from './reconcile.js';
+import { createStorage } from './storage/index.js';
+
+// Durable Object：KV 后端的元数据条件写入（绑定 METADATA_COORDINATOR 时使用）
+export { MetadataCoordinator } from './storage/durableStorage.js';
+
+function createConfig(env) {
+  return {
+    prefix: env.PREFIX || 'fivegram',
+    secretToken: env.SECRET_TOKEN || '',
+    storage: createStorage(env),  // 存储后端：KV / D1 / 内存
+    pinnedBackup: env.PINNED_BACKUP === 'true',  // 是否同步写入置顶消息备份
+    telegramClient: env.TELEGRAM_API_BASE ? { apiBase: env.TELEGRAM_API_BASE } : null,  // 自建 Bot API 服务
+  };
+}
 
 export default {
   async fetch(request, env, ctx) {
-    const config = {
-      prefix: env.PREFIX || 'fivegram',
-      secretToken: env.SECRET_TOKEN || '',
-      messageMapping: env.MESSAGE_MAPPING,  // KV namespace 绑定
-    };
+    return handleRequest(request, createConfig(env), ctx);
+  },
 
-    return handleRequest(request, config, ctx);
+  // Cron Trigger：定时对账，发现问题时私聊 Owner 确认
+  async scheduled(event, env, ctx) {
+    const config = createConfig(env);
+    if (config.telegramClient) setTelegramClient(config.telegramClient);
+    ctx.waitUntil(runScheduledReconcile(config));
   }
 };